@@ -0,0 +1,194 @@
+/**
+ * 账号全局搜索
+ * 在所有环境中模糊匹配账号名称、账号、标签、备注、环境名称和登录地址，按匹配程度排序
+ * 支持 tag:标签 语法按标签筛选
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class AccountSearch {
+  constructor() {
+    // 各字段的权重：名称和账号最重要，登录地址最次要
+    this.fieldWeights = {
+      username: 1,
+      account: 1,
+      tags: 0.9,
+      envName: 0.8,
+      notes: 0.6,
+      loginUrl: 0.5
+    };
+    
+    // 模糊匹配时，匹配到的字符跨度超过关键词长度的倍数视为不匹配，避免长文本中零散字符误命中
+    this.maxSpanRatio = 3;
+    
+    this.tagPrefix = 'tag:';
+  }
+  
+  /**
+   * 解析用户输入的标签，逗号或空格分隔，忽略大小写去重，保留首次出现的写法
+   */
+  parseTags(input) {
+    const source = Array.isArray(input) ? input.join(',') : (input || '');
+    const seen = new Set();
+    return source.split(/[,，\s]+/).filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  /**
+   * 汇总所有账号的标签，返回按名称排序的 [{ tag, count }]
+   */
+  collectTags(accounts) {
+    const tags = new Map();
+    (accounts || []).forEach(account => {
+      this.parseTags(account.tags).forEach(tag => {
+        const key = tag.toLowerCase();
+        const item = tags.get(key) || { tag, count: 0 };
+        item.count++;
+        tags.set(key, item);
+      });
+    });
+    return [...tags.values()].sort((a, b) => a.tag.localeCompare(b.tag, 'zh-CN'));
+  }
+  
+  /**
+   * 拆分搜索内容：tag: 开头的作为标签筛选，其余作为关键词
+   * 返回 { terms, tags }，均已转为小写
+   */
+  parseQuery(query) {
+    const terms = [];
+    const tags = [];
+    (query || '').toLowerCase().split(/\s+/).filter(Boolean).forEach(token => {
+      if (token.startsWith(this.tagPrefix)) {
+        const tag = token.slice(this.tagPrefix.length);
+        if (tag) tags.push(tag);
+      } else {
+        terms.push(token);
+      }
+    });
+    return { terms, tags };
+  }
+  
+  // 搜索内容中是否已按该标签筛选
+  hasTagFilter(query, tag) {
+    return this.parseQuery(query).tags.includes(tag.toLowerCase());
+  }
+  
+  /**
+   * 在搜索内容中添加或移除标签筛选，返回新的搜索内容
+   */
+  toggleTagFilter(query, tag) {
+    const key = `${this.tagPrefix}${tag.toLowerCase()}`;
+    const tokens = (query || '').split(/\s+/).filter(Boolean);
+    const remaining = tokens.filter(token => token.toLowerCase() !== key);
+    if (remaining.length === tokens.length) {
+      remaining.push(`${this.tagPrefix}${tag}`);
+    }
+    return remaining.join(' ');
+  }
+  
+  /**
+   * 标签筛选得分：标签完全相同 100，标签以筛选内容开头 80，没有匹配的标签为 0
+   */
+  scoreTag(tags, filter) {
+    return Math.max(0, ...tags.map(tag => {
+      const value = tag.toLowerCase();
+      if (value === filter) return 100;
+      return value.startsWith(filter) ? 80 : 0;
+    }));
+  }
+  
+  /**
+   * 计算单个关键词与文本的匹配得分（0~100，0 表示不匹配）
+   * 完全相同 > 开头匹配 > 单词开头匹配 > 包含 > 按顺序出现的模糊匹配
+   */
+  scoreText(text, term) {
+    const value = (text || '').toLowerCase();
+    if (!value || !term) return 0;
+    
+    if (value === term) return 100;
+    
+    const index = value.indexOf(term);
+    if (index === 0) return 90;
+    if (index > 0) {
+      return /[\s\-_.@/:]/.test(value[index - 1]) ? 80 : 70 - Math.min(index, 10);
+    }
+    
+    if (term.length < 2) return 0;
+    
+    // 关键词中的字符按顺序出现在文本中，例如 "prdadm" 匹配 "prod-admin"
+    let start = -1;
+    let position = -1;
+    for (const char of term) {
+      position = value.indexOf(char, position + 1);
+      if (position === -1) return 0;
+      if (start === -1) start = position;
+    }
+    
+    const span = position - start + 1;
+    if (span > term.length * this.maxSpanRatio) return 0;
+    return Math.round(20 + 30 * term.length / span);
+  }
+  
+  // 账号可供搜索的字段
+  getFields(account, env) {
+    return {
+      username: account.username,
+      account: account.account,
+      tags: this.parseTags(account.tags).join(' '),
+      envName: env?.name,
+      notes: account.notes,
+      loginUrl: env ? [env.loginUrl, env.domain].filter(Boolean).join(' ') : ''
+    };
+  }
+  
+  /**
+   * 搜索所有环境的账号，多个关键词用空格分隔，每个关键词都要匹配到某个字段，每个标签筛选都要匹配到某个标签
+   * 返回按得分从高到低排列的 [{ account, env, score }]
+   */
+  search(query, accounts, environments) {
+    const { terms, tags } = this.parseQuery(query);
+    if (terms.length === 0 && tags.length === 0) return [];
+    
+    const envMap = new Map((environments || []).map(env => [env.id, env]));
+    const results = [];
+    
+    (accounts || []).forEach(account => {
+      const env = envMap.get(account.envId);
+      const fields = this.getFields(account, env);
+      const accountTags = this.parseTags(account.tags);
+      let score = 0;
+      
+      for (const tag of tags) {
+        const best = this.scoreTag(accountTags, tag);
+        if (best === 0) return;
+        score += best;
+      }
+      
+      for (const term of terms) {
+        const best = Math.max(...Object.entries(this.fieldWeights).map(([field, weight]) =>
+          this.scoreText(fields[field], term) * weight
+        ));
+        if (best === 0) return;
+        score += best;
+      }
+      
+      results.push({ account, env, score });
+    });
+    
+    return results.sort((a, b) =>
+      b.score - a.score ||
+      (a.account.username || '').localeCompare(b.account.username || '', 'zh-CN')
+    );
+  }
+}
+
+// 导出单例
+const accountSearch = new AccountSearch();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.accountSearch = accountSearch;
+}
@@ -0,0 +1,141 @@
+/**
+ * 账号列表排序与置顶
+ * 弹出窗口、悬浮面板和后台共用，排序方式、置顶账号、手动顺序和使用次数按环境保存
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class AccountSorter {
+  constructor() {
+    this.storageKey = 'accountListPrefs';
+    
+    this.sortModes = {
+      recent: '最近使用',
+      frequent: '最常使用',
+      alpha: '按名称',
+      manual: '手动排序'
+    };
+    // 默认保持添加顺序，列表不会因为登录而变化（快捷键按序号登录依赖稳定的顺序）
+    this.defaultSortMode = 'manual';
+  }
+  
+  /**
+   * 读取环境的列表设置：{ sortMode, pinned: [账号ID], order: [账号ID], usage: { 账号ID: { count, lastAt } } }
+   */
+  async getPrefs(envId) {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const prefs = (result[this.storageKey] || {})[envId] || {};
+    return {
+      sortMode: this.sortModes[prefs.sortMode] ? prefs.sortMode : this.defaultSortMode,
+      pinned: Array.isArray(prefs.pinned) ? prefs.pinned : [],
+      order: Array.isArray(prefs.order) ? prefs.order : [],
+      usage: prefs.usage && typeof prefs.usage === 'object' ? prefs.usage : {}
+    };
+  }
+  
+  async savePrefs(envId, changes) {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const allPrefs = result[this.storageKey] || {};
+    allPrefs[envId] = { ...(await this.getPrefs(envId)), ...changes };
+    await chrome.storage.local.set({ [this.storageKey]: allPrefs });
+  }
+  
+  async setSortMode(envId, sortMode) {
+    await this.savePrefs(envId, { sortMode });
+  }
+  
+  /**
+   * 记录一次账号登录，用于最近使用和最常使用排序（后台在登录提交前调用）
+   * 单独保存而不是从登录记录统计，清空登录记录不影响排序
+   */
+  async recordUsage(envId, accountId) {
+    const { usage } = await this.getPrefs(envId);
+    const item = usage[accountId] || { count: 0, lastAt: 0 };
+    await this.savePrefs(envId, {
+      usage: { ...usage, [accountId]: { count: item.count + 1, lastAt: Date.now() } }
+    });
+  }
+  
+  /**
+   * 切换账号的置顶状态，返回切换后是否置顶
+   */
+  async togglePin(envId, accountId) {
+    const { pinned } = await this.getPrefs(envId);
+    const isPinned = pinned.includes(accountId);
+    await this.savePrefs(envId, {
+      pinned: isPinned ? pinned.filter(id => id !== accountId) : [...pinned, accountId]
+    });
+    return !isPinned;
+  }
+  
+  /**
+   * 手动排序：把账号移动到目标账号之前（placeAfter 为 true 时移动到之后，targetId 为空时移动到末尾）
+   * accounts 为该环境的全部账号，用于补全尚未排序过的账号
+   */
+  async moveAccount(envId, accounts, accountId, targetId, placeAfter = false) {
+    const prefs = await this.getPrefs(envId);
+    const order = this.applyManualOrder(accounts, prefs.order)
+      .map(account => account.id)
+      .filter(id => id !== accountId);
+    
+    const targetIndex = targetId ? order.indexOf(targetId) : -1;
+    order.splice(targetIndex === -1 ? order.length : targetIndex + (placeAfter ? 1 : 0), 0, accountId);
+    await this.savePrefs(envId, { order });
+  }
+  
+  // 按保存的顺序排列，未排序过的账号保持原有顺序排在后面
+  applyManualOrder(accounts, order) {
+    const positions = new Map(order.map((id, index) => [id, index]));
+    return accounts
+      .map((account, index) => ({ account, index }))
+      .sort((a, b) => {
+        const posA = positions.has(a.account.id) ? positions.get(a.account.id) : order.length + a.index;
+        const posB = positions.has(b.account.id) ? positions.get(b.account.id) : order.length + b.index;
+        return posA - posB;
+      })
+      .map(({ account }) => account);
+  }
+  
+  /**
+   * 按环境的排序方式排列账号，置顶账号始终在前
+   * 返回 { accounts, pinnedIds, prefs }
+   */
+  async sort(envId, accounts) {
+    const prefs = await this.getPrefs(envId);
+    const name = (account) => account.username || account.account || '';
+    let sorted;
+    
+    if (prefs.sortMode === 'manual') {
+      sorted = this.applyManualOrder(accounts, prefs.order);
+    } else if (prefs.sortMode === 'alpha') {
+      sorted = [...accounts].sort((a, b) => name(a).localeCompare(name(b), 'zh-CN'));
+    } else {
+      // 从未使用过的账号排在后面，保持原有顺序
+      const key = prefs.sortMode === 'frequent' ? 'count' : 'lastAt';
+      const valueOf = (account) => prefs.usage[account.id]?.[key] || 0;
+      sorted = [...accounts].sort((a, b) => valueOf(b) - valueOf(a));
+    }
+    
+    const pinnedIds = new Set(prefs.pinned);
+    return {
+      accounts: [
+        ...sorted.filter(account => pinnedIds.has(account.id)),
+        ...sorted.filter(account => !pinnedIds.has(account.id))
+      ],
+      pinnedIds,
+      prefs
+    };
+  }
+}
+
+// 导出单例
+const accountSorter = new AccountSorter();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.accountSorter = accountSorter;
+}
+
+// 如果在Service Worker环境中，使用self
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+  self.accountSorter = accountSorter;
+}
@@ -3,6 +3,29 @@
  * 符合 Chrome Extension Manifest V3 规范
  */
 
+import './crypto-utils.js';
+import './url-matcher.js';
+import './totp-utils.js';
+import './account-sorter.js';
+
+// 保险库空闲检查定时器
+const VAULT_IDLE_ALARM = 'vault-idle-check';
+
+// 登录后等待填写两步验证码的标签页（会话存储）：{ 标签页ID: { accountId, envId, expiresAt } }
+const PENDING_TOTP_KEY = 'pendingTotp';
+// 登录后等待检测登录结果的标签页（会话存储）：{ 标签页ID: { accountId, envId, expiresAt } }
+const LOGIN_CHECK_KEY = 'loginChecks';
+// 登录提交后多久内的验证码输入框和登录结果会被处理（毫秒）
+const LOGIN_TRACKING_TTL = 2 * 60 * 1000;
+// 手动登录时捕获、等待用户确认保存的账号（会话存储，只保存在内存中且内容脚本无法读取）：
+// { 标签页ID: { envId, account, password, existingId, expiresAt } }
+const CAPTURED_LOGIN_KEY = 'capturedLogins';
+const CAPTURED_LOGIN_TTL = 5 * 60 * 1000;
+
+// 登录记录（本地存储），超过上限时丢弃最早的记录
+const LOGIN_HISTORY_KEY = 'loginHistory';
+const LOGIN_HISTORY_LIMIT = 500;
+
 // 工具函数：安全的存储操作
 const safeStorageOperation = (operation, errorHandler) => {
   try {
@@ -40,54 +63,449 @@ const matchEnvironment = async (urlString) => {
   
   try {
     const result = await chrome.storage.local.get('environments');
-    const environments = result.environments || [];
+    return urlMatcher.findEnvironment(result.environments || [], urlString);
+  } catch (error) {
+    console.error('环境匹配失败:', error);
+    return null;
+  }
+};
+
+// 生成不与现有记录重复的ID（与界面中新建记录使用相同的时间戳格式）
+const generateUniqueId = (existingIds) => {
+  let id = Date.now();
+  while (existingIds.has(String(id))) {
+    id++;
+  }
+  existingIds.add(String(id));
+  return String(id);
+};
+
+// 当前备份数据结构版本（与扩展版本号无关，结构变化时递增）
+const BACKUP_SCHEMA_VERSION = 2;
+
+// 备份数据升级链：键为升级前的结构版本，每个函数把数据升级到下一版本
+const BACKUP_UPGRADES = {
+  // 1 -> 2：1.1.0 及之前的备份没有结构版本和保险库信息，ID 可能为数字
+  1: (data) => {
+    const toId = (id) => (id === undefined || id === null ? id : String(id));
+    return {
+      ...data,
+      schemaVersion: 2,
+      vault: data.vault || null,
+      environments: data.environments.map(env => (
+        env && typeof env === 'object' ? { ...env, id: toId(env.id) } : env
+      )),
+      accounts: data.accounts.map(account => (
+        account && typeof account === 'object'
+          ? { ...account, id: toId(account.id), envId: toId(account.envId) }
+          : account
+      ))
+    };
+  }
+};
+
+// 依次执行升级函数，把备份升级到当前结构版本
+const upgradeBackupData = (data) => {
+  const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+  if (fromVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`备份来自更新版本的扩展（数据结构版本 ${fromVersion}），请先升级扩展`);
+  }
+  
+  let upgraded = data;
+  let version = fromVersion;
+  while (version < BACKUP_SCHEMA_VERSION) {
+    const upgrade = BACKUP_UPGRADES[version];
+    if (!upgrade) {
+      throw new Error(`不支持的备份数据结构版本：${version}`);
+    }
+    upgraded = upgrade(upgraded);
+    version = upgraded.schemaVersion;
+  }
+  
+  return { data: upgraded, fromVersion };
+};
+
+// 修复登录URL：缺少协议时补全 https://，只接受 http/https，无法修复返回 null
+const repairLoginUrl = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  
+  const trimmed = value.trim();
+  const candidate = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  try {
+    const url = new URL(candidate);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? candidate : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 校验并修复备份数据
+ * 可修复的问题（缺少ID、名称、域名，URL缺少协议等）就地修复，
+ * 无法修复的记录（无效URL的环境、孤立账号等）移除，每一处都记录在 fixes 中
+ */
+const validateBackupData = (data) => {
+  const fixes = [];
+  const envIds = new Set();
+  const environments = [];
+  
+  data.environments.forEach((env, index) => {
+    if (!env || typeof env !== 'object') {
+      fixes.push(`第${index + 1}个环境不是有效的记录，已移除`);
+      return;
+    }
     
-    // 规范化当前URL（移除末尾的斜杠、查询参数、hash等，只保留协议+域名+路径）
-    let normalizedCurrentUrl = urlString;
-    try {
-      const url = new URL(urlString);
-      normalizedCurrentUrl = `${url.protocol}//${url.host}${url.pathname}`.replace(/\/$/, '');
-    } catch (error) {
-      console.debug('URL规范化失败，使用原始URL:', error);
+    const label = `环境"${env.name || env.id || `第${index + 1}个`}"`;
+    const repaired = { ...env };
+    
+    const loginUrl = repairLoginUrl(env.loginUrl);
+    if (!loginUrl) {
+      fixes.push(`${label}：登录URL"${env.loginUrl || ''}"无效，已移除该环境`);
+      return;
+    }
+    if (loginUrl !== env.loginUrl) {
+      repaired.loginUrl = loginUrl;
+      fixes.push(`${label}：登录URL缺少协议，已修正为 ${loginUrl}`);
     }
     
-    // 遍历所有环境，检查当前URL是否匹配登录页面URL
-    for (const env of environments) {
-      if (!env.loginUrl) continue;
-      
-      try {
-        // 规范化环境的登录URL
-        const envUrl = new URL(env.loginUrl);
-        const normalizedEnvUrl = `${envUrl.protocol}//${envUrl.host}${envUrl.pathname}`.replace(/\/$/, '');
-        
-        // 精确匹配
-        if (normalizedCurrentUrl === normalizedEnvUrl) {
-          return env;
-        }
-        
-        // 路径匹配（支持通配符，如 /login/*）
-        if (normalizedEnvUrl.endsWith('/*')) {
-          const baseUrl = normalizedEnvUrl.slice(0, -2);
-          if (normalizedCurrentUrl.startsWith(baseUrl)) {
-            return env;
-          }
+    if (typeof repaired.id !== 'string' || !repaired.id) {
+      repaired.id = generateUniqueId(envIds);
+      fixes.push(`${label}：缺少ID，已生成新ID`);
+    } else if (envIds.has(repaired.id)) {
+      repaired.id = generateUniqueId(envIds);
+      fixes.push(`${label}：ID与其他环境重复，已生成新ID`);
+    } else {
+      envIds.add(repaired.id);
+    }
+    
+    if (!repaired.name) {
+      repaired.name = '未命名环境';
+      fixes.push(`${label}：缺少名称，已设为"未命名环境"`);
+    }
+    
+    if (!repaired.domain) {
+      repaired.domain = new URL(loginUrl).hostname;
+      fixes.push(`${label}：缺少域名，已从登录URL补全为 ${repaired.domain}`);
+    }
+    
+    // 无效的匹配规则（未知类型、内容为空、正则无法解析等）不会匹配任何页面，直接移除
+    if (repaired.matchRules !== undefined) {
+      const rules = Array.isArray(repaired.matchRules) ? repaired.matchRules : [repaired.matchRules];
+      const validRules = rules.filter(rule => !urlMatcher.validateRule(rule));
+      if (validRules.length !== rules.length) {
+        fixes.push(`${label}：${rules.length - validRules.length} 条匹配规则无效，已移除`);
+      }
+      if (validRules.length > 0) {
+        repaired.matchRules = validRules;
+      } else {
+        delete repaired.matchRules;
+      }
+    }
+    
+    environments.push(repaired);
+  });
+  
+  const accountIds = new Set();
+  const accounts = [];
+  
+  data.accounts.forEach((account, index) => {
+    if (!account || typeof account !== 'object') {
+      fixes.push(`第${index + 1}个账号不是有效的记录，已移除`);
+      return;
+    }
+    
+    const label = `账号"${account.username || account.account || account.id || `第${index + 1}个`}"`;
+    
+    if (!envIds.has(account.envId)) {
+      fixes.push(`${label}：所属环境${account.envId ? `（${account.envId}）` : ''}不存在，已移除`);
+      return;
+    }
+    
+    if (!account.account && !account.username) {
+      fixes.push(`${label}：缺少账号和用户名，已移除`);
+      return;
+    }
+    
+    const repaired = { ...account };
+    
+    if (!repaired.account) {
+      repaired.account = repaired.username;
+      fixes.push(`${label}：缺少账号，已使用用户名代替`);
+    }
+    if (!repaired.username) {
+      repaired.username = repaired.account;
+      fixes.push(`${label}：缺少用户名，已使用账号代替`);
+    }
+    
+    if (typeof repaired.id !== 'string' || !repaired.id) {
+      repaired.id = generateUniqueId(accountIds);
+      fixes.push(`${label}：缺少ID，已生成新ID`);
+    } else if (accountIds.has(repaired.id)) {
+      repaired.id = generateUniqueId(accountIds);
+      fixes.push(`${label}：ID与其他账号重复，已生成新ID`);
+    } else {
+      accountIds.add(repaired.id);
+    }
+    
+    const password = repaired.password;
+    if (password === undefined || password === null) {
+      repaired.password = '';
+    } else if (typeof password !== 'string' && !cryptoUtils.isEnvelope(password)) {
+      repaired.password = '';
+      fixes.push(`${label}：密码格式无法识别，已清空`);
+    }
+    
+    const totpSecret = repaired.totpSecret;
+    if (totpSecret !== undefined && totpSecret !== null && typeof totpSecret !== 'string' &&
+      !cryptoUtils.isEnvelope(totpSecret)) {
+      delete repaired.totpSecret;
+      fixes.push(`${label}：两步验证密钥格式无法识别，已移除`);
+    }
+    
+    if (repaired.customFields !== undefined) {
+      const fields = Array.isArray(repaired.customFields) ? repaired.customFields : [];
+      repaired.customFields = fields.filter(field => {
+        const valid = field && typeof field.name === 'string' && field.name &&
+          (typeof field.value === 'string' || (field.secret && cryptoUtils.isEnvelope(field.value)));
+        if (!valid) {
+          fixes.push(`${label}：自定义字段"${field?.name || ''}"格式无法识别，已移除`);
         }
-        
-        // 不再使用包含匹配，因为太宽松会导致误匹配
-        // 例如：登录URL是 https://example.com，当前URL是 https://example.com/dashboard 也会匹配
-      } catch (error) {
-        console.debug('环境URL解析失败:', env.loginUrl, error);
-        continue;
+        return valid;
+      });
+    }
+    
+    if (repaired.tags !== undefined) {
+      const tags = Array.isArray(repaired.tags) ? repaired.tags : [];
+      repaired.tags = tags.filter(tag => typeof tag === 'string' && tag && !/[,，\s]/.test(tag));
+      if (!Array.isArray(account.tags) || repaired.tags.length !== tags.length) {
+        fixes.push(`${label}：部分标签格式无法识别，已移除`);
+      }
+      if (repaired.tags.length === 0) {
+        delete repaired.tags;
       }
     }
     
+    accounts.push(repaired);
+  });
+  
+  return { data: { ...data, environments, accounts }, fixes };
+};
+
+// 升级并校验备份数据，无法处理时抛出错误
+// localVault 为本地保险库，用于识别没有保险库信息的旧版备份中的密文
+const prepareBackupData = (data, localVault = null) => {
+  if (!data || !Array.isArray(data.environments) || !Array.isArray(data.accounts)) {
+    throw new Error('无效的备份数据格式');
+  }
+  
+  // 1.1.0 及之前的备份中密码可能是 Base64 字符串密文，升级前先转换为密文信封，避免被当作明文重新加密
+  let source = data;
+  let migrated = 0;
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 2) {
+    const legacy = cryptoUtils.migrateLegacyAccounts(data.accounts, data.vault || localVault);
+    source = { ...data, accounts: legacy.accounts };
+    migrated = legacy.migrated;
+  }
+  
+  const { data: upgraded, fromVersion } = upgradeBackupData(source);
+  const { data: validated, fixes } = validateBackupData(upgraded);
+  if (migrated > 0) {
+    fixes.unshift(`${migrated} 个账号的旧版密文已转换为当前格式`);
+  }
+  return { data: validated, fromVersion, fixes };
+};
+
+// 合并时不参与比较的账号字段
+const ACCOUNT_MERGE_IGNORED_FIELDS = ['id', 'envId', 'createdAt', 'updatedAt', 'lastLoginResult'];
+
+const getRecordTime = (record) => record.updatedAt || record.createdAt || 0;
+
+// 还原密码或加密字段的明文，无法解密时返回 null（options 见 cryptoUtils.decryptPassword）
+const revealSecret = async (value, options = {}) => {
+  if (!value || typeof value === 'string') return value || '';
+  try {
+    return await cryptoUtils.decryptPassword(value, options);
+  } catch {
     return null;
-  } catch (error) {
-    console.error('环境匹配失败:', error);
-    return null;
   }
 };
 
+// 比较两个密码是否相同（密文信封先解密再比较，无法解密时比较原始数据）
+const passwordsEqual = async (a, b) => {
+  const [plainA, plainB] = await Promise.all([revealSecret(a), revealSecret(b)]);
+  if (plainA === null || plainB === null) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return plainA === plainB;
+};
+
+// 比较两组自定义字段是否相同（加密字段按明文比较）
+const customFieldsEqual = async (a = [], b = []) => {
+  if (a.length !== b.length) return false;
+  
+  for (let i = 0; i < a.length; i++) {
+    if (a[i].name !== b[i].name || !!a[i].secret !== !!b[i].secret) {
+      return false;
+    }
+    const same = a[i].secret
+      ? await passwordsEqual(a[i].value, b[i].value)
+      : a[i].value === b[i].value;
+    if (!same) return false;
+  }
+  return true;
+};
+
+// 列出本地账号与备份账号之间不同的字段
+const diffAccounts = async (localAccount, backupAccount) => {
+  const fields = new Set([...Object.keys(localAccount), ...Object.keys(backupAccount)]);
+  const differences = [];
+  
+  for (const field of fields) {
+    if (ACCOUNT_MERGE_IGNORED_FIELDS.includes(field)) continue;
+    
+    let same;
+    if (field === 'password' || field === 'totpSecret') {
+      same = await passwordsEqual(localAccount[field], backupAccount[field]);
+    } else if (field === 'customFields') {
+      same = await customFieldsEqual(localAccount.customFields, backupAccount.customFields);
+    } else {
+      same = JSON.stringify(localAccount[field]) === JSON.stringify(backupAccount[field]);
+    }
+    
+    if (!same) {
+      differences.push(field);
+    }
+  }
+  
+  return differences;
+};
+
+// 用备份账号的内容覆盖本地账号（保留本地的ID、环境和创建时间）
+const applyBackupAccount = (localAccount, backupAccount) => {
+  const { id, envId, createdAt, ...fields } = backupAccount;
+  Object.assign(localAccount, fields);
+};
+
+/**
+ * 将备份数据合并到本地数据
+ * 环境按登录URL匹配（其次是唯一的域名），账号按环境+账号匹配
+ * resolutions 为冲突处理方式：{ 本地账号ID: 'local' | 'backup' | 'both' }，默认保留本地
+ * 密文不属于本地保险库（本地没有保险库时为备份中的保险库）的账号无法解密，跳过并列在报告中
+ * 返回合并后的数据、合并报告以及来自备份的账号ID
+ */
+const mergeBackupData = async (local, backup, resolutions = {}) => {
+  const vault = local[cryptoUtils.vaultStorageKey] || backup.vault || null;
+  const environments = (local.environments || []).map(env => ({ ...env }));
+  const accounts = (local.accounts || []).map(account => ({ ...account }));
+  const envIds = new Set(environments.map(env => env.id));
+  const accountIds = new Set(accounts.map(account => account.id));
+  const backupTime = Date.parse(backup.timestamp) || 0;
+  const importedIds = new Set();
+  const envIdMap = new Map();
+  
+  const report = {
+    environments: { added: [], matched: [] },
+    accounts: { added: [], updated: [], unchanged: 0, skipped: 0, foreign: [], conflicts: [] }
+  };
+  
+  for (const backupEnv of backup.environments) {
+    const backupUrl = urlMatcher.normalize(backupEnv.loginUrl);
+    const backupDomain = (backupEnv.domain || '').toLowerCase();
+    
+    let localEnv = backupUrl ? environments.find(env => urlMatcher.normalize(env.loginUrl) === backupUrl) : null;
+    if (!localEnv && backupDomain) {
+      const sameDomain = environments.filter(env => (env.domain || '').toLowerCase() === backupDomain);
+      // 同一域名下有多个环境时无法确定对应关系，作为新环境添加
+      if (sameDomain.length === 1) {
+        localEnv = sameDomain[0];
+      }
+    }
+    
+    if (localEnv) {
+      envIdMap.set(backupEnv.id, localEnv.id);
+      report.environments.matched.push({ name: localEnv.name, backupName: backupEnv.name });
+      continue;
+    }
+    
+    const id = !backupEnv.id || envIds.has(backupEnv.id) ? generateUniqueId(envIds) : backupEnv.id;
+    envIds.add(id);
+    environments.push({ ...backupEnv, id });
+    envIdMap.set(backupEnv.id, id);
+    report.environments.added.push({ name: backupEnv.name });
+  }
+  
+  const accountKey = (account) => `${account.envId}::${(account.account || '').trim().toLowerCase()}`;
+  
+  for (const backupAccount of backup.accounts) {
+    const envId = envIdMap.get(backupAccount.envId);
+    if (!envId) {
+      report.accounts.skipped++;
+      continue;
+    }
+    
+    const candidate = { ...backupAccount, envId };
+    const envName = environments.find(env => env.id === envId)?.name || '';
+    const label = { envName, account: candidate.account, username: candidate.username };
+    if (cryptoUtils.hasForeignSecrets(candidate, vault)) {
+      report.accounts.foreign.push(label);
+      continue;
+    }
+    
+    const localAccount = accounts.find(account => accountKey(account) === accountKey(candidate));
+    
+    if (!localAccount) {
+      const id = !candidate.id || accountIds.has(candidate.id) ? generateUniqueId(accountIds) : candidate.id;
+      accountIds.add(id);
+      accounts.push({ ...candidate, id });
+      importedIds.add(id);
+      report.accounts.added.push(label);
+      continue;
+    }
+    
+    const differences = await diffAccounts(localAccount, candidate);
+    if (differences.length === 0) {
+      report.accounts.unchanged++;
+      continue;
+    }
+    
+    // 本地记录在备份之后没有修改过，且备份中的记录更新，直接采用备份
+    const localTime = getRecordTime(localAccount);
+    const backupRecordTime = getRecordTime(candidate);
+    if (localTime <= backupTime && backupRecordTime > localTime) {
+      applyBackupAccount(localAccount, candidate);
+      importedIds.add(localAccount.id);
+      report.accounts.updated.push(label);
+      continue;
+    }
+    
+    report.accounts.conflicts.push({
+      id: localAccount.id,
+      ...label,
+      localUsername: localAccount.username,
+      differences,
+      localUpdatedAt: localTime,
+      backupUpdatedAt: backupRecordTime
+    });
+    
+    const resolution = resolutions[localAccount.id] || 'local';
+    if (resolution === 'backup') {
+      applyBackupAccount(localAccount, candidate);
+      importedIds.add(localAccount.id);
+    } else if (resolution === 'both') {
+      const id = generateUniqueId(accountIds);
+      accounts.push({
+        ...candidate,
+        id,
+        username: `${candidate.username || ''}（备份）`,
+        createdAt: Date.now()
+      });
+      importedIds.add(id);
+    }
+  }
+  
+  return { environments, accounts, report, importedIds };
+};
+
 // 扩展安装/更新监听
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('账号管理器扩展已安装/更新:', details.reason);
@@ -97,6 +515,36 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   } else if (details.reason === 'update') {
     // 更新时的迁移逻辑可以在这里处理
     console.log('扩展已更新到版本:', chrome.runtime.getManifest().version);
+    
+    try {
+      // 旧版本会明文保存主密码，迁移为保险库校验信息
+      if (await cryptoUtils.migrateLegacyMasterPassword()) {
+        console.log('已迁移旧版主密码为保险库');
+      }
+      
+      // 旧版密文为 Base64 字符串，迁移为带版本的密文信封
+      const migrated = await cryptoUtils.migrateLegacyCiphertexts();
+      if (migrated > 0) {
+        console.log(`已将 ${migrated} 个旧版密文迁移为密文信封`);
+      }
+    } catch (error) {
+      console.error('迁移加密数据失败:', error);
+    }
+  }
+});
+
+// 定期检查保险库是否空闲超时
+chrome.alarms.create(VAULT_IDLE_ALARM, { periodInMinutes: 1 });
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== VAULT_IDLE_ALARM) return;
+  
+  try {
+    if (await cryptoUtils.lockIfIdle()) {
+      console.log('保险库空闲超时，已自动锁定');
+    }
+  } catch (error) {
+    console.error('保险库空闲检查失败:', error);
   }
 });
 
@@ -135,34 +583,626 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
-// 消息处理：数据备份与恢复
+// 快捷键：转发给当前标签页的内容脚本执行（见 manifest.json 中的 commands）
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    const targetTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!targetTab?.id || !/^https?:/.test(targetTab.url || '')) {
+      return;
+    }
+    
+    await chrome.tabs.sendMessage(targetTab.id, { action: 'runCommand', command });
+  } catch (error) {
+    // 扩展安装前已打开的页面没有内容脚本，刷新页面后即可使用
+    console.debug('执行快捷键命令失败:', command, error);
+  }
+});
+
+// 右键菜单：列出当前标签页匹配环境的账号，菜单内容随当前标签页和数据变化重新生成
+const CONTEXT_MENU_ROOT = 'account-manager';
+const CONTEXT_MENU_CONTEXTS = ['page', 'editable'];
+// 菜单中最多列出的账号数，更多账号请使用悬浮面板
+const CONTEXT_MENU_ACCOUNT_LIMIT = 20;
+
+// 菜单标题中的 & 会被当作快捷键标记
+const escapeMenuTitle = (title) => title.replace(/&/g, '&&');
+
+const buildContextMenu = async (url) => {
+  await chrome.contextMenus.removeAll();
+  
+  const create = (properties) => chrome.contextMenus.create({
+    contexts: CONTEXT_MENU_CONTEXTS,
+    ...properties
+  });
+  create({ id: CONTEXT_MENU_ROOT, title: '账号管理器' });
+  
+  const env = url && /^https?:/.test(url) ? await matchEnvironment(url) : null;
+  if (env) {
+    const result = await chrome.storage.local.get(['accounts', 'accountListPrefs']);
+    const pinned = result.accountListPrefs?.[env.id]?.pinned || [];
+    // 置顶账号在前，其余保持添加顺序
+    const accounts = (result.accounts || [])
+      .filter(account => account.envId === env.id)
+      .sort((a, b) => Number(pinned.includes(b.id)) - Number(pinned.includes(a.id)));
+    
+    create({
+      id: 'env-title',
+      parentId: CONTEXT_MENU_ROOT,
+      title: escapeMenuTitle(`环境：${env.name || '未命名环境'}`),
+      enabled: false
+    });
+    if (accounts.length === 0) {
+      create({ id: 'no-accounts', parentId: CONTEXT_MENU_ROOT, title: '该环境暂无账号', enabled: false });
+    }
+    
+    accounts.slice(0, CONTEXT_MENU_ACCOUNT_LIMIT).forEach(account => {
+      const parentId = `account:${account.id}`;
+      const name = account.username || '未命名';
+      create({
+        id: parentId,
+        parentId: CONTEXT_MENU_ROOT,
+        title: escapeMenuTitle(account.account && account.account !== name ? `${name}（${account.account}）` : name)
+      });
+      create({ id: `fill:${account.id}`, parentId, title: '填写' });
+      create({ id: `submit:${account.id}`, parentId, title: '填写并登录' });
+    });
+  } else {
+    create({ id: 'no-env', parentId: CONTEXT_MENU_ROOT, title: '当前页面没有匹配的环境', enabled: false });
+  }
+  
+  create({ id: 'separator', parentId: CONTEXT_MENU_ROOT, type: 'separator' });
+  create({ id: 'save-environment', parentId: CONTEXT_MENU_ROOT, title: '将此页面保存为新环境' });
+};
+
+// 依次更新，避免同时重建菜单时出现重复的菜单ID
+let contextMenuUpdate = Promise.resolve();
+const refreshContextMenu = () => {
+  contextMenuUpdate = contextMenuUpdate
+    .then(async () => {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      await buildContextMenu(tab?.url);
+    })
+    .catch(error => {
+      console.error('更新右键菜单失败:', error);
+    });
+  return contextMenuUpdate;
+};
+
+chrome.runtime.onInstalled.addListener(() => refreshContextMenu());
+chrome.runtime.onStartup.addListener(() => refreshContextMenu());
+chrome.tabs.onActivated.addListener(() => refreshContextMenu());
+chrome.windows.onFocusChanged.addListener(() => refreshContextMenu());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (tab.active && (changeInfo.url || changeInfo.status === 'complete')) {
+    refreshContextMenu();
+  }
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.environments || changes.accounts || changes.accountListPrefs)) {
+    refreshContextMenu();
+  }
+});
+
+// 菜单命令交给内容脚本执行，复用悬浮面板的填充和登录逻辑
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab?.id) return;
+  
+  const [command, accountId] = String(info.menuItemId).split(':');
+  const commands = { fill: 'fill', submit: 'submit', 'save-environment': 'saveEnvironment' };
+  if (!commands[command]) return;
+  
+  try {
+    await chrome.tabs.sendMessage(tab.id, {
+      action: 'contextMenuCommand',
+      command: commands[command],
+      accountId
+    }, { frameId: 0 });
+  } catch (error) {
+    // 扩展安装前已打开的页面没有内容脚本，刷新页面后即可使用
+    console.debug('执行右键菜单命令失败:', info.menuItemId, error);
+  }
+});
+
+// 读取按标签页记录的未过期登录跟踪信息，顺便清理过期记录
+const getTabRecords = async (storageKey) => {
+  const result = await chrome.storage.session.get(storageKey);
+  const records = result[storageKey] || {};
+  const now = Date.now();
+  const valid = Object.fromEntries(Object.entries(records).filter(([, item]) => item.expiresAt > now));
+  if (Object.keys(valid).length !== Object.keys(records).length) {
+    await chrome.storage.session.set({ [storageKey]: valid });
+  }
+  return valid;
+};
+
+// 设置或清除（item 为 null）某个标签页的记录
+const setTabRecord = async (storageKey, tabId, item, ttl = LOGIN_TRACKING_TTL) => {
+  const records = await getTabRecords(storageKey);
+  if (item) {
+    records[tabId] = { ...item, expiresAt: Date.now() + ttl };
+  } else {
+    delete records[tabId];
+  }
+  await chrome.storage.session.set({ [storageKey]: records });
+};
+
+// 添加一条登录记录，返回记录ID
+const addLoginHistory = async (entry) => {
+  const result = await chrome.storage.local.get(LOGIN_HISTORY_KEY);
+  const history = result[LOGIN_HISTORY_KEY] || [];
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  history.push({ id, ...entry });
+  await chrome.storage.local.set({ [LOGIN_HISTORY_KEY]: history.slice(-LOGIN_HISTORY_LIMIT) });
+  return id;
+};
+
+// 读取登录记录：跟踪已过期仍未检测到结果的记录标记为未知
+const getLoginHistory = async () => {
+  const result = await chrome.storage.local.get(LOGIN_HISTORY_KEY);
+  const history = result[LOGIN_HISTORY_KEY] || [];
+  const expired = history.filter(entry => entry.result === 'pending' && Date.now() - entry.at > LOGIN_TRACKING_TTL);
+  if (expired.length > 0) {
+    expired.forEach(entry => {
+      entry.result = 'unknown';
+    });
+    await chrome.storage.local.set({ [LOGIN_HISTORY_KEY]: history });
+  }
+  return history;
+};
+
+const updateLoginHistory = async (id, changes) => {
+  if (!id) return;
+  
+  const result = await chrome.storage.local.get(LOGIN_HISTORY_KEY);
+  const history = result[LOGIN_HISTORY_KEY] || [];
+  const entry = history.find(item => item.id === id);
+  if (!entry) return;
+  
+  Object.assign(entry, changes);
+  await chrome.storage.local.set({ [LOGIN_HISTORY_KEY]: history });
+};
+
+/**
+ * 登录提交前调用：写入登录记录，记录需要检测登录结果的标签页，
+ * 账号设置了两步验证时同时等待填写验证码
+ * source 为发起登录的界面（popup / panel / contextMenu），url 只保留协议、域名和路径
+ */
+const beginLoginTracking = async (tabId, account, source, url) => {
+  // 同一标签页上一次登录还没有结果时，不再等待
+  const previous = (await getTabRecords(LOGIN_CHECK_KEY))[tabId];
+  if (previous) {
+    await updateLoginHistory(previous.historyId, { result: 'unknown' });
+  }
+  
+  const envResult = await chrome.storage.local.get('environments');
+  const env = (envResult.environments || []).find(e => e.id === account.envId);
+  
+  const historyId = await addLoginHistory({
+    accountId: account.id,
+    envId: account.envId,
+    username: account.username || '',
+    account: account.account || '',
+    envName: env?.name || '',
+    source: source || 'popup',
+    url: urlMatcher.normalize(url) || '',
+    at: Date.now(),
+    result: 'pending',
+    message: ''
+  });
+  
+  await accountSorter.recordUsage(account.envId, account.id);
+  await setTabRecord(LOGIN_CHECK_KEY, tabId, { accountId: account.id, envId: account.envId, historyId });
+  await setTabRecord(PENDING_TOTP_KEY, tabId, account.totpSecret ? { accountId: account.id, envId: account.envId } : null);
+};
+
+// 结束登录跟踪：error 为填充失败的原因，没有时表示未能检测到登录结果
+const cancelLoginTracking = async (tabId, error = '') => {
+  const check = (await getTabRecords(LOGIN_CHECK_KEY))[tabId];
+  if (check) {
+    await updateLoginHistory(check.historyId, { result: error ? 'error' : 'unknown', message: error });
+  }
+  
+  await setTabRecord(LOGIN_CHECK_KEY, tabId, null);
+  await setTabRecord(PENDING_TOTP_KEY, tabId, null);
+};
+
+// 把登录结果记录到账号和登录记录上（不修改账号的 updatedAt，避免影响备份合并）
+const recordLoginResult = async (check, status, message = '') => {
+  const result = await chrome.storage.local.get('accounts');
+  const accounts = result.accounts || [];
+  const account = accounts.find(acc => acc.id === check.accountId);
+  if (account) {
+    account.lastLoginResult = { status, message, at: Date.now() };
+    await chrome.storage.local.set({ accounts });
+  }
+  
+  await updateLoginHistory(check.historyId, { result: status, message });
+};
+
+// 在环境中查找登录账号相同的记录（忽略大小写）
+const findAccountByLogin = (accounts, envId, login) => {
+  const key = login.toLowerCase();
+  return accounts.find(account => account.envId === envId && (account.account || '').toLowerCase() === key);
+};
+
+// 生成悬浮面板中显示的捕获信息（不包含密码）
+const describeCapturedLogin = async (capture) => {
+  const result = await chrome.storage.local.get(['environments', 'accounts']);
+  const env = (result.environments || []).find(e => e.id === capture.envId);
+  if (!env) return null;
+  
+  const existing = capture.existingId ? (result.accounts || []).find(acc => acc.id === capture.existingId) : null;
+  return {
+    envId: env.id,
+    envName: env.name,
+    account: capture.account,
+    existingId: existing?.id || null,
+    existingName: existing?.username || ''
+  };
+};
+
+/**
+ * 记录手动登录时提交的账号密码：环境中没有该账号或密码有变化时暂存并返回提示信息，
+ * 密码与已保存的相同（包括扩展自动填充的登录）时返回 null
+ */
+const captureLogin = async (tabId, envId, login, password) => {
+  const result = await chrome.storage.local.get(['environments', 'accounts']);
+  if (!login || !password || !(result.environments || []).some(e => e.id === envId)) return null;
+  
+  const existing = findAccountByLogin(result.accounts || [], envId, login);
+  if (existing) {
+    // 保险库锁定时无法比较密码，不打扰用户；手动提交表单不算使用扩展，不顺延保险库的空闲超时
+    const saved = await revealSecret(existing.password, { extend: false });
+    if (saved === null || saved === password) {
+      await setTabRecord(CAPTURED_LOGIN_KEY, tabId, null);
+      return null;
+    }
+  }
+  
+  const capture = { envId, account: login, password, existingId: existing?.id || null };
+  await setTabRecord(CAPTURED_LOGIN_KEY, tabId, capture, CAPTURED_LOGIN_TTL);
+  return describeCapturedLogin(capture);
+};
+
+/**
+ * 保存捕获的账号：已有账号时更新密码，否则在环境中新建账号（密码与弹出窗口中保存账号一样加密）
+ * username 为新账号的显示名称，为空时使用登录账号；返回 'updated' 或 'created'
+ */
+const saveCapturedLogin = async (tabId, username) => {
+  const capture = (await getTabRecords(CAPTURED_LOGIN_KEY))[tabId];
+  if (!capture) {
+    throw new Error('没有待保存的账号，可能已经过期');
+  }
+  
+  const result = await chrome.storage.local.get(['environments', 'accounts']);
+  if (!(result.environments || []).some(e => e.id === capture.envId)) {
+    throw new Error('环境不存在');
+  }
+  
+  const accounts = result.accounts || [];
+  const password = await cryptoUtils.encryptPassword(capture.password);
+  // 捕获后账号可能已被删除或在别处添加，按当前数据重新查找
+  const existing = accounts.find(acc => acc.id === capture.existingId) ||
+    findAccountByLogin(accounts, capture.envId, capture.account);
+  let outcome;
+  
+  if (existing) {
+    // 密码已修改，上次的登录结果不再适用
+    delete existing.lastLoginResult;
+    existing.password = password;
+    existing.updatedAt = Date.now();
+    outcome = 'updated';
+  } else {
+    accounts.push({
+      id: generateUniqueId(new Set(accounts.map(acc => acc.id))),
+      envId: capture.envId,
+      username: username || capture.account,
+      account: capture.account,
+      password,
+      createdAt: Date.now()
+    });
+    outcome = 'created';
+  }
+  
+  await chrome.storage.local.set({ accounts });
+  await setTabRecord(CAPTURED_LOGIN_KEY, tabId, null);
+  return outcome;
+};
+
+// 标签页关闭后清除其登录跟踪记录和待保存的账号
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelLoginTracking(tabId).catch(error => {
+    console.debug('清除登录跟踪记录失败:', error);
+  });
+  setTabRecord(CAPTURED_LOGIN_KEY, tabId, null).catch(error => {
+    console.debug('清除待保存的账号失败:', error);
+  });
+});
+
+// 消息是否来自扩展自身的页面（弹出窗口等），这些页面没有 sender.tab
+const isExtensionPage = (sender) => !sender.tab && sender.id === chrome.runtime.id;
+
+// 内容脚本只能获取当前页面所属环境的账号：发送消息的页面需要匹配账号所属的环境，扩展页面不受限制
+const senderMatchesEnvironment = async (sender, envId) => {
+  if (isExtensionPage(sender)) return true;
+  
+  const url = sender.url || sender.tab?.url;
+  if (!url) return false;
+  
+  const result = await chrome.storage.local.get('environments');
+  const env = (result.environments || []).find(e => e.id === envId);
+  return !!env && urlMatcher.matches(env, url);
+};
+
+// 消息处理：保险库、数据备份与恢复
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // 使用 async/await 处理异步操作
   (async () => {
     try {
+      if (request.action === 'getVaultStatus') {
+        const status = await cryptoUtils.getVaultStatus();
+        sendResponse({ success: true, data: status });
+        return;
+      }
+      
+      if (request.action === 'lockVault') {
+        await cryptoUtils.lock();
+        sendResponse({ success: true });
+        return;
+      }
+      
+      // 内容脚本无法访问会话存储中的密钥，由后台代为加密
+      if (request.action === 'encryptPassword') {
+        const status = await cryptoUtils.getVaultStatus();
+        if (status.initialized && !status.unlocked) {
+          sendResponse({ success: false, locked: true, error: '保险库已锁定，请点击扩展图标输入主密码解锁' });
+          return;
+        }
+        
+        const encrypted = await cryptoUtils.encryptPassword(request.password || '');
+        sendResponse({ success: true, data: encrypted });
+        return;
+      }
+      
+      // 为内容脚本提供解密后的登录凭据，只在需要填充时按需获取
+      if (request.action === 'getLoginCredential') {
+        const status = await cryptoUtils.getVaultStatus();
+        if (status.initialized && !status.unlocked) {
+          sendResponse({ success: false, locked: true, error: '保险库已锁定，请点击扩展图标输入主密码解锁' });
+          return;
+        }
+        
+        const result = await chrome.storage.local.get('accounts');
+        const account = (result.accounts || []).find(acc => acc.id === request.accountId);
+        if (!account) {
+          sendResponse({ success: false, error: '账号不存在' });
+          return;
+        }
+        
+        if (!(await senderMatchesEnvironment(sender, account.envId))) {
+          sendResponse({ success: false, denied: true, error: '当前页面不是该账号所属环境的登录页面，无法使用该账号' });
+          return;
+        }
+        
+        // 密码和加密的自定义字段都需要解密，登录脚本可能用到；两步验证密钥不离开后台
+        sendResponse({ success: true, data: await cryptoUtils.decryptLoginCredential(account) });
+        return;
+      }
+      
+      // 生成账号当前的两步验证码，内容脚本无法访问解密后的密钥
+      if (request.action === 'getTotpCode') {
+        const status = await cryptoUtils.getVaultStatus();
+        if (status.initialized && !status.unlocked) {
+          sendResponse({ success: false, locked: true, error: '保险库已锁定，请点击扩展图标输入主密码解锁' });
+          return;
+        }
+        
+        const result = await chrome.storage.local.get('accounts');
+        const account = (result.accounts || []).find(acc => acc.id === request.accountId);
+        if (!account || !account.totpSecret) {
+          sendResponse({ success: false, error: '该账号未设置两步验证密钥' });
+          return;
+        }
+        
+        if (!(await senderMatchesEnvironment(sender, account.envId))) {
+          sendResponse({ success: false, denied: true, error: '当前页面不是该账号所属环境的页面，无法生成验证码' });
+          return;
+        }
+        
+        // 悬浮面板定时刷新的验证码不是用户操作，不顺延保险库的空闲超时
+        const secret = await cryptoUtils.decryptPassword(account.totpSecret, { extend: !request.passive });
+        sendResponse({ success: true, data: await totpUtils.generate(secret) });
+        return;
+      }
+      
+      // 登录提交前记录标签页，用于检测登录结果和在下一个页面自动填写验证码
+      // 弹出窗口发起的登录通过 tabId 指定标签页，内容脚本使用自身所在的标签页
+      if (['beginLoginTracking', 'cancelLoginTracking', 'clearPendingTotp', 'setLoginErrorBaseline', 'reportLoginResult'].includes(request.action)) {
+        const tabId = request.tabId ?? sender.tab?.id;
+        if (tabId === undefined) {
+          sendResponse({ success: false, error: '无法确定标签页' });
+          return;
+        }
+        
+        if (request.action === 'beginLoginTracking') {
+          const result = await chrome.storage.local.get('accounts');
+          const account = (result.accounts || []).find(acc => acc.id === request.accountId);
+          if (!account) {
+            sendResponse({ success: false, error: '账号不存在' });
+            return;
+          }
+          await beginLoginTracking(tabId, account, request.source, request.url ?? sender.tab?.url);
+        } else if (request.action === 'cancelLoginTracking') {
+          await cancelLoginTracking(tabId, request.error);
+        } else if (request.action === 'clearPendingTotp') {
+          await setTabRecord(PENDING_TOTP_KEY, tabId, null);
+        } else if (request.action === 'setLoginErrorBaseline') {
+          // 提交前页面上已有的失败提示文字，跳转后的页面检测结果时忽略
+          const check = (await getTabRecords(LOGIN_CHECK_KEY))[tabId];
+          if (check) {
+            const { expiresAt, ...item } = check;
+            const texts = Array.isArray(request.texts) ? request.texts.map(String).slice(0, 20) : [];
+            await setTabRecord(LOGIN_CHECK_KEY, tabId, { ...item, errorBaseline: texts }, expiresAt - Date.now());
+          }
+        } else {
+          const check = (await getTabRecords(LOGIN_CHECK_KEY))[tabId];
+          if (check) {
+            await recordLoginResult(check, request.status === 'success' ? 'success' : 'failure', request.message);
+            await setTabRecord(LOGIN_CHECK_KEY, tabId, null);
+          }
+        }
+        sendResponse({ success: true });
+        return;
+      }
+      
+      // 手动登录时捕获的账号：内容脚本提交捕获结果，在悬浮面板中询问是否保存
+      if (['captureLogin', 'getCapturedLogin', 'saveCapturedLogin', 'dismissCapturedLogin'].includes(request.action)) {
+        const tabId = sender.tab?.id;
+        if (tabId === undefined) {
+          sendResponse({ success: false, error: '无法确定标签页' });
+          return;
+        }
+        
+        if (request.action === 'captureLogin') {
+          if (!(await senderMatchesEnvironment(sender, request.envId))) {
+            sendResponse({ success: false, denied: true, error: '当前页面不是该环境的页面' });
+            return;
+          }
+          sendResponse({ success: true, data: await captureLogin(tabId, request.envId, request.account, request.password) });
+        } else if (request.action === 'getCapturedLogin') {
+          const capture = (await getTabRecords(CAPTURED_LOGIN_KEY))[tabId];
+          sendResponse({ success: true, data: capture ? await describeCapturedLogin(capture) : null });
+        } else if (request.action === 'saveCapturedLogin') {
+          const status = await cryptoUtils.getVaultStatus();
+          if (status.initialized && !status.unlocked) {
+            sendResponse({ success: false, locked: true, error: '保险库已锁定，请点击扩展图标输入主密码解锁' });
+            return;
+          }
+          sendResponse({ success: true, data: await saveCapturedLogin(tabId, request.username) });
+        } else {
+          await setTabRecord(CAPTURED_LOGIN_KEY, tabId, null);
+          sendResponse({ success: true });
+        }
+        return;
+      }
+      
+      if (request.action === 'getLoginHistory') {
+        sendResponse({ success: true, data: { entries: await getLoginHistory(), limit: LOGIN_HISTORY_LIMIT } });
+        return;
+      }
+      
+      if (request.action === 'clearLoginHistory') {
+        await chrome.storage.local.remove(LOGIN_HISTORY_KEY);
+        sendResponse({ success: true });
+        return;
+      }
+      
+      if (request.action === 'getLoginCheck') {
+        const checks = await getTabRecords(LOGIN_CHECK_KEY);
+        const check = sender.tab ? checks[sender.tab.id] : null;
+        sendResponse({ success: true, data: check ? { accountId: check.accountId, envId: check.envId, errorBaseline: check.errorBaseline || [] } : null });
+        return;
+      }
+      
+      if (request.action === 'getPendingTotp') {
+        const pending = await getTabRecords(PENDING_TOTP_KEY);
+        const item = sender.tab ? pending[sender.tab.id] : null;
+        sendResponse({ success: true, data: item ? { accountId: item.accountId, envId: item.envId } : null });
+        return;
+      }
+      
       if (request.action === 'backupData') {
-        const result = await chrome.storage.local.get(['environments', 'accounts']);
+        const result = await chrome.storage.local.get(['environments', 'accounts', cryptoUtils.vaultStorageKey]);
         const backupData = {
           version: chrome.runtime.getManifest().version,
+          schemaVersion: BACKUP_SCHEMA_VERSION,
           timestamp: new Date().toISOString(),
           environments: result.environments || [],
-          accounts: result.accounts || []
+          accounts: result.accounts || [],
+          // 保险库校验信息，使备份中的密文可在同一主密码下解密
+          vault: result[cryptoUtils.vaultStorageKey] || null
         };
         sendResponse({ success: true, data: backupData });
         return;
       }
       
+      // 预览恢复结果（校验修复情况及合并报告），不写入存储
+      if (request.action === 'previewRestore') {
+        const prepared = prepareBackupData(request.data, await cryptoUtils.getVault());
+        
+        let mergeReport = null;
+        if (request.mode === 'merge') {
+          const local = await chrome.storage.local.get(['environments', 'accounts', cryptoUtils.vaultStorageKey]);
+          mergeReport = (await mergeBackupData(local, prepared.data)).report;
+        }
+        
+        sendResponse({
+          success: true,
+          data: {
+            data: prepared.data,
+            fromVersion: prepared.fromVersion,
+            schemaVersion: BACKUP_SCHEMA_VERSION,
+            fixes: prepared.fixes,
+            merge: mergeReport
+          }
+        });
+        return;
+      }
+      
       if (request.action === 'restoreData') {
-        if (!request.data || !Array.isArray(request.data.environments) || !Array.isArray(request.data.accounts)) {
-          sendResponse({ success: false, error: '无效的备份数据格式' });
+        const prepared = prepareBackupData(request.data, await cryptoUtils.getVault());
+        const backup = prepared.data;
+        
+        // 合并模式：保留本地数据，按冲突处理方式合并备份
+        if (request.mode === 'merge') {
+          const local = await chrome.storage.local.get(['environments', 'accounts', cryptoUtils.vaultStorageKey]);
+          const merged = await mergeBackupData(local, backup, request.resolutions || {});
+          const restored = {
+            environments: merged.environments,
+            accounts: merged.accounts
+          };
+          
+          if (local[cryptoUtils.vaultStorageKey]) {
+            // 来自备份的明文密码和加密字段使用当前保险库加密（需要已解锁）
+            for (let i = 0; i < restored.accounts.length; i++) {
+              const account = restored.accounts[i];
+              if (merged.importedIds.has(account.id) && cryptoUtils.hasPlaintextSecrets(account)) {
+                restored.accounts[i] = await cryptoUtils.encryptAccount(account);
+              }
+            }
+          } else if (backup.vault) {
+            restored[cryptoUtils.vaultStorageKey] = backup.vault;
+          }
+          
+          await chrome.storage.local.set(restored);
+          sendResponse({ success: true, data: { ...merged.report, fixes: prepared.fixes } });
           return;
         }
         
-        await chrome.storage.local.set({
-          environments: request.data.environments,
-          accounts: request.data.accounts
+        // 本地尚未设置主密码时，一并恢复备份中的保险库；已有保险库时绝不覆盖
+        const localVault = await cryptoUtils.getVault();
+        const vault = localVault || backup.vault || null;
+        
+        // 密文不属于恢复后保险库的账号永远无法解密，不导入（预览中已提示）
+        const accounts = backup.accounts.filter(account => !cryptoUtils.hasForeignSecrets(account, vault));
+        const restored = {
+          environments: backup.environments,
+          accounts
+        };
+        if (backup.vault && !localVault) {
+          restored[cryptoUtils.vaultStorageKey] = backup.vault;
+        }
+        
+        await chrome.storage.local.set(restored);
+        sendResponse({
+          success: true,
+          data: {
+            environments: backup.environments.length,
+            accounts: accounts.length,
+            skipped: backup.accounts.length - accounts.length,
+            fixes: prepared.fixes
+          }
         });
-        sendResponse({ success: true });
         return;
       }
       
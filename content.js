@@ -210,6 +210,14 @@ class FloatingPanel {
     this.isCollapsed = false;
     this.lastCheckedUrl = null;
     this.urlCheckInterval = null;
+    // 账号列表中显示的两步验证码：{ accountId, element, code, expiresAt }
+    this.totpItems = [];
+    this.totpTimer = null;
+    this.currentEnvAccounts = []; // 当前环境的全部账号（手动排序时使用）
+    this.draggingAccountId = null;
+    this.tagFilter = null; // 按标签筛选当前环境的账号（小写），切换环境时清除
+    this.capturePrompt = null; // 手动登录后询问是否保存账号的提示
+    this.commandPalette = new CommandPalette(this);
     this.init();
   }
   
@@ -236,6 +244,10 @@ class FloatingPanel {
       if (areaName === 'local' && changes.environments) {
         this.checkDomainMatch();
       }
+      // 账号或排序设置变化（例如记录了登录结果、在弹出窗口中置顶）时刷新列表
+      if (areaName === 'local' && (changes.accounts || changes.accountListPrefs) && this.currentEnvId) {
+        this.loadAccounts(this.currentEnvId);
+      }
     });
     
     // 监听URL变化（包括SPA路由变化）
@@ -293,6 +305,8 @@ class FloatingPanel {
     
     const matchedEnv = await matchEnvironment(currentUrl);
     if (!matchedEnv) {
+      // 登录后跳转到其他页面时，保留询问是否保存账号的提示
+      if (this.capturePrompt) return;
       // URL不匹配任何环境的登录页面，隐藏面板
       console.debug('URL不匹配登录页面，隐藏悬浮面板:', currentUrl);
       this.hidePanel();
@@ -351,6 +365,14 @@ class FloatingPanel {
       }
     });
     
+    const titleRow = createElement('div', {
+      style: {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between'
+      }
+    });
+    
     const title = createElement('h3', {
       style: {
         margin: '0 0 10px 0',
@@ -359,6 +381,47 @@ class FloatingPanel {
       }
     }, ['账号管理器']);
     
+    const lockBtn = createElement('button', {
+      id: 'lock-vault-btn',
+      title: '锁定保险库',
+      style: {
+        display: 'none',
+        margin: '0 0 10px 0',
+        padding: '2px 8px',
+        border: '1px solid rgba(255,255,255,0.3)',
+        borderRadius: '4px',
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        cursor: 'pointer',
+        fontSize: '14px'
+      }
+    }, ['🔒']);
+    
+    const pickerBtn = createElement('button', {
+      id: 'pick-elements-btn',
+      title: '拾取登录表单元素',
+      style: {
+        margin: '0 0 10px 0',
+        padding: '2px 8px',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        backgroundColor: 'white',
+        cursor: 'pointer',
+        fontSize: '14px'
+      }
+    }, ['🎯']);
+    
+    const titleActions = createElement('div', {
+      style: {
+        display: 'flex',
+        gap: '6px'
+      }
+    });
+    titleActions.appendChild(pickerBtn);
+    titleActions.appendChild(lockBtn);
+    
+    titleRow.appendChild(title);
+    titleRow.appendChild(titleActions);
+    
     const envSelect = createElement('select', {
       id: 'env-select',
       style: {
@@ -372,8 +435,27 @@ class FloatingPanel {
     const defaultOption = createElement('option', { value: '' }, ['选择环境']);
     envSelect.appendChild(defaultOption);
     
-    header.appendChild(title);
+    // 账号排序方式（按环境保存，与弹出窗口共用）
+    const sortSelect = createElement('select', {
+      id: 'account-sort-select',
+      title: '账号排序方式',
+      style: {
+        width: '100%',
+        marginTop: '6px',
+        padding: '4px',
+        border: '1px solid #ddd',
+        borderRadius: '4px',
+        fontSize: '12px',
+        color: '#666'
+      }
+    });
+    Object.entries(window.accountSorter.sortModes).forEach(([value, label]) => {
+      sortSelect.appendChild(createElement('option', { value }, [`排序：${label}`]));
+    });
+    
+    header.appendChild(titleRow);
     header.appendChild(envSelect);
+    header.appendChild(sortSelect);
     
     // 账号列表
     const accountList = createElement('div', {
@@ -422,16 +504,69 @@ class FloatingPanel {
   setupEventListeners() {
     const envSelect = document.getElementById('env-select');
     const addBtn = document.getElementById('add-account-btn');
+    const lockBtn = document.getElementById('lock-vault-btn');
     
     envSelect?.addEventListener('change', (e) => {
       this.switchEnvironment(e.target.value);
     });
     
+    document.getElementById('account-sort-select')?.addEventListener('change', async (e) => {
+      if (!this.currentEnvId) return;
+      await window.accountSorter.setSortMode(this.currentEnvId, e.target.value);
+      this.loadAccounts(this.currentEnvId);
+    });
+    
+    lockBtn?.addEventListener('click', () => {
+      this.handleLockVault();
+    });
+    
+    document.getElementById('pick-elements-btn')?.addEventListener('click', () => {
+      if (!this.currentEnvId) {
+        alert('请先选择环境');
+        return;
+      }
+      window.elementPicker?.start(this.currentEnvId);
+    });
+    
+    // 页面重新获得焦点时刷新锁定状态（可能已在弹窗中解锁或超时锁定）
+    window.addEventListener('focus', () => {
+      this.updateLockButton();
+    });
+    
     addBtn?.addEventListener('click', () => {
       this.showAddAccountForm();
     });
   }
   
+  // 内容脚本无法读取会话密钥，保险库状态由后台提供
+  async getVaultStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getVaultStatus' });
+      return response?.success ? response.data : { initialized: false, unlocked: false };
+    } catch (error) {
+      console.debug('获取保险库状态失败:', error);
+      return { initialized: false, unlocked: false };
+    }
+  }
+  
+  async updateLockButton() {
+    const lockBtn = document.getElementById('lock-vault-btn');
+    if (!lockBtn) return;
+    
+    const status = await this.getVaultStatus();
+    lockBtn.style.display = status.unlocked ? '' : 'none';
+  }
+  
+  async handleLockVault() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'lockVault' });
+      await this.updateLockButton();
+      showSuccessMessage('保险库已锁定');
+    } catch (error) {
+      console.error('锁定保险库失败:', error);
+    }
+  }
+  
   showAddAccountForm() {
     if (!this.currentEnvId) {
       alert('请先选择环境');
@@ -658,16 +793,13 @@ class FloatingPanel {
     }
     
     try {
-      // 加密密码（如果可用）
-      let encryptedPassword = password;
-      if (window.cryptoUtils) {
-        try {
-          encryptedPassword = await window.cryptoUtils.encryptPassword(password);
-        } catch (error) {
-          console.warn('密码加密失败，使用明文存储:', error);
-          encryptedPassword = password;
-        }
+      // 由后台使用保险库密钥加密，密钥不进入页面上下文
+      const encryptResponse = await chrome.runtime.sendMessage({ action: 'encryptPassword', password });
+      if (!encryptResponse?.success) {
+        alert(encryptResponse?.error || '密码加密失败');
+        return;
       }
+      const encryptedPassword = encryptResponse.data;
       
       const result = await chrome.storage.local.get('accounts');
       const accounts = result.accounts || [];
@@ -725,12 +857,16 @@ class FloatingPanel {
   }
   
   switchEnvironment(envId) {
+    if (envId !== this.currentEnvId) {
+      this.tagFilter = null;
+    }
     this.currentEnvId = envId;
     const envSelect = document.getElementById('env-select');
     if (envSelect) {
       envSelect.value = envId;
     }
     this.loadAccounts(envId);
+    this.updateLockButton();
   }
   
   async loadAccounts(envId) {
@@ -754,14 +890,15 @@ class FloatingPanel {
     try {
       const result = await chrome.storage.local.get('accounts');
       const accounts = result.accounts || [];
-      const envAccounts = accounts.filter(account => account.envId === envId);
+      this.currentEnvAccounts = accounts.filter(account => account.envId === envId);
       const accountList = document.getElementById('account-list');
       
       if (!accountList) return;
       
       accountList.innerHTML = '';
+      this.totpItems = [];
       
-      if (envAccounts.length === 0) {
+      if (this.currentEnvAccounts.length === 0) {
         const emptyMsg = createElement('div', {
           style: {
             padding: '20px',
@@ -774,8 +911,24 @@ class FloatingPanel {
         return;
       }
       
+      // 置顶账号在前，其余按环境的排序方式排列
+      const sorted = await window.accountSorter.sort(envId, this.currentEnvAccounts);
+      const sortSelect = document.getElementById('account-sort-select');
+      if (sortSelect) {
+        sortSelect.value = sorted.prefs.sortMode;
+      }
+      
+      let envAccounts = sorted.accounts;
+      if (this.tagFilter) {
+        envAccounts = envAccounts.filter(account => this.matchesTagFilter(account));
+        accountList.appendChild(this.createTagFilterNotice(envAccounts.length));
+      }
+      
       envAccounts.forEach(account => {
-        const accountItem = this.createAccountItem(account);
+        const accountItem = this.createAccountItem(account, {
+          pinned: sorted.pinnedIds.has(account.id),
+          draggable: sorted.prefs.sortMode === 'manual'
+        });
         accountList.appendChild(accountItem);
       });
     } catch (error) {
@@ -783,9 +936,67 @@ class FloatingPanel {
     }
   }
   
-  createAccountItem(account) {
+  getTags(account) {
+    return Array.isArray(account.tags) ? account.tags.filter(tag => typeof tag === 'string' && tag) : [];
+  }
+  
+  matchesTagFilter(account) {
+    return !this.tagFilter || this.getTags(account).some(tag => tag.toLowerCase() === this.tagFilter);
+  }
+  
+  // 点击标签按该标签筛选，再次点击取消
+  toggleTagFilter(tag) {
+    const key = tag.toLowerCase();
+    this.tagFilter = this.tagFilter === key ? null : key;
+    this.loadAccounts(this.currentEnvId);
+  }
+  
+  createTagFilterNotice(count) {
+    const notice = createElement('div', {
+      title: '点击取消筛选',
+      style: {
+        padding: '4px 8px',
+        marginBottom: '5px',
+        fontSize: '12px',
+        color: '#5f6bd0',
+        backgroundColor: '#eef0fc',
+        borderRadius: '4px',
+        cursor: 'pointer'
+      }
+    }, [count > 0 ? `标签"${this.tagFilter}"：${count} 个账号 ✕` : `没有标签为"${this.tagFilter}"的账号 ✕`]);
+    notice.addEventListener('click', () => {
+      this.tagFilter = null;
+      this.loadAccounts(this.currentEnvId);
+    });
+    return notice;
+  }
+  
+  createTagChip(tag) {
+    const active = tag.toLowerCase() === this.tagFilter;
+    const chip = createElement('span', {
+      title: active ? '点击取消筛选' : '点击按该标签筛选',
+      style: {
+        display: 'inline-block',
+        marginRight: '4px',
+        padding: '0 6px',
+        fontSize: '11px',
+        lineHeight: '16px',
+        borderRadius: '8px',
+        color: active ? 'white' : '#5f6bd0',
+        backgroundColor: active ? '#667eea' : '#eef0fc',
+        cursor: 'pointer'
+      }
+    }, [tag]);
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleTagFilter(tag);
+    });
+    return chip;
+  }
+  
+  createAccountItem(account, { pinned = false, draggable = false } = {}) {
     const item = createElement('div', {
-      class: 'account-item',
+      class: pinned ? 'account-item pinned' : 'account-item',
       style: {
         display: 'flex',
         alignItems: 'center',
@@ -793,6 +1004,26 @@ class FloatingPanel {
         gap: '8px'
       }
     });
+    if (draggable) {
+      this.setupAccountDrag(item, account.id);
+    }
+    
+    const pinBtn = createElement('button', {
+      title: pinned ? '取消置顶' : '置顶',
+      style: {
+        padding: '0',
+        border: 'none',
+        background: 'none',
+        cursor: 'pointer',
+        fontSize: '14px',
+        color: pinned ? '#f9ab00' : '#bbb',
+        flexShrink: '0'
+      }
+    }, [pinned ? '★' : '☆']);
+    pinBtn.addEventListener('click', async () => {
+      await window.accountSorter.togglePin(this.currentEnvId, account.id);
+      this.loadAccounts(this.currentEnvId);
+    });
     
     // 用户名（账号）合并显示
     const accountInfo = createElement('div', {
@@ -810,7 +1041,36 @@ class FloatingPanel {
     const username = account.username || '未命名';
     const accountText = account.account || '';
     const displayText = accountText ? `${username}（${accountText}）` : username;
-    safeSetTextContent(accountInfo, displayText);
+    
+    // 上次登录结果
+    const loginResult = window.loginFiller.describeLoginResult(account.lastLoginResult);
+    if (loginResult) {
+      const status = createElement('span', {
+        title: loginResult.text,
+        style: {
+          marginRight: '4px',
+          fontWeight: '600',
+          color: loginResult.className === 'success' ? '#34a853' : '#ea4335'
+        }
+      }, [loginResult.icon]);
+      accountInfo.appendChild(status);
+      accountInfo.appendChild(document.createTextNode(displayText));
+    } else {
+      safeSetTextContent(accountInfo, displayText);
+    }
+    
+    // 标签单独一行显示
+    const tags = this.getTags(account);
+    if (tags.length > 0) {
+      const tagList = createElement('div', {
+        style: {
+          marginTop: '2px',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis'
+        }
+      }, tags.map(tag => this.createTagChip(tag)));
+      accountInfo.appendChild(tagList);
+    }
     
     const loginBtn = createElement('button', {
       class: 'login-btn',
@@ -833,162 +1093,327 @@ class FloatingPanel {
     });
     
     item.appendChild(accountInfo);
+    item.appendChild(pinBtn);
+    if (account.totpSecret) {
+      item.appendChild(this.createTotpCode(account));
+    }
     item.appendChild(loginBtn);
     
     return item;
   }
   
-  async handleLogin(accountId) {
-    try {
-      const result = await chrome.storage.local.get('accounts');
-      const accounts = result.accounts || [];
-      const account = accounts.find(acc => acc.id === accountId);
+  // 手动排序：拖动账号放到另一个账号的上半部分或下半部分，移动到该账号之前或之后
+  setupAccountDrag(item, accountId) {
+    item.draggable = true;
+    
+    const isLowerHalf = (e) => {
+      const rect = item.getBoundingClientRect();
+      return e.clientY > rect.top + rect.height / 2;
+    };
+    
+    item.addEventListener('dragstart', (e) => {
+      this.draggingAccountId = accountId;
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    item.addEventListener('dragend', () => {
+      this.draggingAccountId = null;
+      item.classList.remove('dragging');
+    });
+    
+    item.addEventListener('dragover', (e) => {
+      if (!this.draggingAccountId || this.draggingAccountId === accountId) return;
+      e.preventDefault();
+      const after = isLowerHalf(e);
+      item.classList.toggle('drag-over', !after);
+      item.classList.toggle('drag-over-after', after);
+    });
+    
+    item.addEventListener('dragleave', () => {
+      item.classList.remove('drag-over', 'drag-over-after');
+    });
+    
+    item.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      item.classList.remove('drag-over', 'drag-over-after');
+      const draggedId = this.draggingAccountId;
+      if (!draggedId || draggedId === accountId) return;
       
-      if (!account) {
-        console.error('账号不存在');
-        return;
+      await window.accountSorter.moveAccount(
+        this.currentEnvId, this.currentEnvAccounts, draggedId, accountId, isLowerHalf(e)
+      );
+      this.loadAccounts(this.currentEnvId);
+    });
+  }
+  
+  // 两步验证码及剩余秒数，点击复制
+  createTotpCode(account) {
+    const element = createElement('span', {
+      title: '两步验证码，点击复制',
+      style: {
+        fontFamily: 'Consolas, Monaco, monospace',
+        fontSize: '12px',
+        color: '#1a73e8',
+        cursor: 'pointer',
+        flexShrink: '0',
+        whiteSpace: 'nowrap'
       }
-      
-      // 智能查找登录表单
-      const loginForm = this.findLoginForm();
-      if (!loginForm) {
-        alert('未找到登录表单，请确保当前页面包含登录表单');
-        return;
+    }, ['······']);
+    
+    const totpItem = { accountId: account.id, element, code: null, expiresAt: 0 };
+    element.addEventListener('click', async () => {
+      if (!totpItem.code) return;
+      try {
+        await navigator.clipboard.writeText(totpItem.code);
+        showSuccessMessage('验证码已复制');
+      } catch (error) {
+        console.error('复制验证码失败:', error);
       }
-      
-      // 填充表单
-      this.fillLoginForm(loginForm, account);
-      
-      // 获取当前环境的登录按钮配置
-      const envResult = await chrome.storage.local.get('environments');
-      const environments = envResult.environments || [];
-      const currentEnv = environments.find(e => e.id === this.currentEnvId);
-      const loginButtonId = currentEnv?.loginButtonId || 'ch_login_btn';
-      const loginButtonClass = currentEnv?.loginButtonClass || 'formBtn';
-      
-      // 直接提交登录表单
-      this.submitLoginForm(loginForm, loginButtonId, loginButtonClass);
-    } catch (error) {
-      console.error('登录失败:', error);
-      alert('登录失败: ' + error.message);
+    });
+    
+    this.totpItems.push(totpItem);
+    if (!this.totpTimer) {
+      this.totpTimer = setInterval(() => this.updateTotpCodes(), 1000);
     }
+    this.updateTotpCodes();
+    return element;
   }
   
-  findLoginForm() {
-    // 多种方式查找登录表单
-    const selectors = [
-      'form[action*="login"]',
-      'form[action*="signin"]',
-      'form[action*="auth"]',
-      'form'
-    ];
-    
-    for (const selector of selectors) {
-      const form = document.querySelector(selector);
-      if (form) {
-        const hasPassword = form.querySelector('input[type="password"]');
-        if (hasPassword) {
-          return form;
-        }
-      }
+  // 每秒更新倒计时，验证码过期后向后台获取新的验证码
+  async updateTotpCodes() {
+    if (this.totpItems.length === 0) {
+      clearInterval(this.totpTimer);
+      this.totpTimer = null;
+      return;
     }
     
-    return null;
+    const now = Date.now();
+    for (const totpItem of this.totpItems) {
+      if (now >= totpItem.expiresAt) {
+        // 获取期间不重复请求
+        totpItem.expiresAt = Infinity;
+        // 定时刷新不是用户操作，passive 使后台不顺延保险库的空闲超时
+        chrome.runtime.sendMessage({ action: 'getTotpCode', accountId: totpItem.accountId, passive: true }).then(response => {
+          if (response?.success) {
+            totpItem.code = response.data.code;
+            totpItem.expiresAt = Date.now() + response.data.remaining * 1000;
+            safeSetTextContent(totpItem.element, `${totpItem.code} ${response.data.remaining}s`);
+          } else {
+            // 保险库锁定等情况稍后重试
+            totpItem.code = null;
+            totpItem.expiresAt = Date.now() + 5000;
+            safeSetTextContent(totpItem.element, response?.locked ? '🔒' : '—');
+          }
+        }).catch(() => {
+          totpItem.expiresAt = Date.now() + 5000;
+        });
+      } else if (totpItem.code && totpItem.expiresAt !== Infinity) {
+        const remaining = Math.ceil((totpItem.expiresAt - now) / 1000);
+        safeSetTextContent(totpItem.element, `${totpItem.code} ${remaining}s`);
+      }
+    }
   }
   
-  fillLoginForm(form, account) {
-    // 查找用户名/账号输入框（包括 email 类型，因为很多网站使用 email 作为登录字段）
-    const usernameSelectors = [
-      'input[name="username"]',
-      'input[name="email"]', // 很多网站使用 email 作为登录字段
-      'input[name="user"]',
-      'input[type="email"]', // 很多网站使用 email 类型
-      'input[type="text"]',
-      'input[id*="user"]',
-      'input[id*="email"]', // 很多网站使用 email 作为 id
-      'input[id*="login"]'
-    ];
-    
-    const passwordSelectors = [
-      'input[type="password"]',
-      'input[name="password"]',
-      'input[name="pass"]',
-      'input[id*="password"]',
-      'input[id*="pass"]'
-    ];
-    
-    let filled = false;
-    
-    // 填充用户名
-    for (const selector of usernameSelectors) {
-      const input = form.querySelector(selector);
-      if (input && !input.disabled && !input.readOnly) {
-        input.value = account.account || account.username || '';
-        input.dispatchEvent(new Event('input', { bubbles: true }));
-        input.dispatchEvent(new Event('change', { bubbles: true }));
-        filled = true;
-        break;
+  async handleLogin(accountId) {
+    await loginWithAccount(accountId, 'panel');
+  }
+  
+  /**
+   * 执行快捷键命令（manifest.json 中的 commands）
+   */
+  async runCommand(command) {
+    if (command === 'toggle-panel') {
+      this.togglePanel();
+    } else if (command === 'open-command-palette') {
+      await this.commandPalette.open();
+    } else if (command === 'next-environment') {
+      await this.switchToNextEnvironment();
+    } else {
+      const match = /^login-account-(\d+)$/.exec(command);
+      if (match) {
+        await this.loginNthAccount(Number(match[1]));
       }
     }
+  }
+  
+  togglePanel() {
+    if (!this.panel) return;
     
-    // 填充密码
-    for (const selector of passwordSelectors) {
-      const input = form.querySelector(selector);
-      if (input && !input.disabled && !input.readOnly) {
-        input.value = account.password || '';
-        input.dispatchEvent(new Event('input', { bubbles: true }));
-        input.dispatchEvent(new Event('change', { bubbles: true }));
-        filled = true;
-        break;
-      }
+    if (this.panel.style.display === 'none') {
+      this.showPanel();
+    } else if (this.isCollapsed) {
+      this.expandFromCircle();
+    } else {
+      this.hidePanel();
     }
-    
-    return filled;
   }
   
-  submitLoginForm(form, loginButtonId, loginButtonClass) {
-    const defaultId = loginButtonId || 'ch_login_btn';
-    const defaultClass = loginButtonClass || 'formBtn';
-    
-    // 优先使用配置的按钮选择器
-    let submitButton = null;
-    
-    // 1. 优先使用ID（在整个文档中查找）
-    if (defaultId) {
-      submitButton = document.getElementById(defaultId);
+  // 按环境列表的顺序打开下一个环境的登录页面（没有登录页面URL的环境跳过）
+  async switchToNextEnvironment() {
+    const result = await chrome.storage.local.get('environments');
+    const environments = (result.environments || []).filter(env => env.loginUrl);
+    if (environments.length === 0) {
+      alert('还没有添加环境');
+      return;
     }
     
-    // 2. 如果ID没找到，使用Class（在整个文档中查找）
-    if (!submitButton && defaultClass) {
-      // 处理多个类名（用空格分隔）
-      const classes = defaultClass.split(/\s+/).filter(c => c).map(c => `.${c}`).join('');
-      submitButton = document.querySelector(classes || `.${defaultClass}`);
+    // 从当前页面匹配的环境开始，没有匹配时从面板中选择的环境开始
+    const current = window.urlMatcher.findEnvironment(environments, window.location.href);
+    const index = environments.findIndex(env => env.id === (current?.id || this.currentEnvId));
+    const next = environments[(index + 1) % environments.length];
+    window.location.href = next.loginUrl;
+  }
+  
+  // 当前环境按列表顺序排列的账号（置顶在前，不含标签筛选）
+  async getOrderedAccounts(envId) {
+    const result = await chrome.storage.local.get('accounts');
+    const envAccounts = (result.accounts || []).filter(account => account.envId === envId);
+    return (await window.accountSorter.sort(envId, envAccounts)).accounts;
+  }
+  
+  // 用当前页面匹配的环境中第 n 个账号登录（与面板中显示的顺序一致）
+  async loginNthAccount(n) {
+    const result = await chrome.storage.local.get('environments');
+    const env = window.urlMatcher.findEnvironment(result.environments || [], window.location.href);
+    if (!env) {
+      alert('当前页面没有匹配的环境，请先打开环境的登录页面');
+      return;
     }
     
-    // 3. 如果都没找到，在表单内查找提交按钮
-    if (!submitButton) {
-      submitButton = form.querySelector('button[type="submit"], input[type="submit"]');
+    // 面板显示的正是该环境时，与面板一样只计算标签筛选后的账号
+    const accounts = (await this.getOrderedAccounts(env.id))
+      .filter(account => env.id !== this.currentEnvId || this.matchesTagFilter(account));
+    const account = accounts[n - 1];
+    if (!account) {
+      alert(`当前环境没有第${n}个账号`);
+      return;
     }
-    
-    // 4. 如果还是没找到，尝试查找其他可能的提交按钮
-    if (!submitButton) {
-      submitButton = form.querySelector('button:not([type]), button[type="button"]');
+    await this.handleLogin(account.id);
+  }
+  
+  /**
+   * 手动登录后询问是否保存账号（不阻塞页面），capture 为后台返回的捕获信息：
+   * { envId, envName, account, existingId, existingName }
+   */
+  showCapturePrompt(capture) {
+    if (!this.panel || !capture) return;
+    
+    this.capturePrompt?.remove();
+    if (this.isCollapsed) {
+      this.expandFromCircle();
     }
+    this.showPanel();
     
-    // 5. 如果找到按钮，点击它
-    if (submitButton) {
-      submitButton.click();
-      return true;
-    }
+    const isUpdate = !!capture.existingId;
+    const prompt = createElement('div', {
+      id: 'account-capture-prompt',
+      style: {
+        padding: '10px',
+        borderBottom: '1px solid #eee',
+        backgroundColor: '#f5f6fd',
+        fontSize: '13px',
+        color: '#333'
+      }
+    });
     
-    // 6. 如果还是没找到，尝试提交表单
-    try {
-      form.submit();
-      return true;
-    } catch (error) {
-      console.error('提交表单失败:', error);
-      return false;
+    const envName = capture.envName || '未命名环境';
+    const message = isUpdate
+      ? `更新"${capture.existingName || capture.account}"在"${envName}"中保存的密码？`
+      : `把账号"${capture.account}"保存到"${envName}"？`;
+    prompt.appendChild(createElement('div', {
+      style: {
+        marginBottom: '8px',
+        wordBreak: 'break-all'
+      }
+    }, [message]));
+    
+    // 新账号可以填写显示名称，默认使用登录账号
+    let nameInput = null;
+    if (!isUpdate) {
+      nameInput = createElement('input', {
+        type: 'text',
+        placeholder: `用户名（默认为 ${capture.account}）`,
+        style: {
+          width: '100%',
+          padding: '6px 8px',
+          marginBottom: '8px',
+          border: '1px solid #ddd',
+          borderRadius: '4px',
+          fontSize: '13px',
+          boxSizing: 'border-box'
+        }
+      });
+      prompt.appendChild(nameInput);
     }
+    
+    const actions = createElement('div', {
+      style: {
+        display: 'flex',
+        gap: '8px'
+      }
+    });
+    const buttonStyle = {
+      flex: '1',
+      padding: '6px',
+      border: 'none',
+      borderRadius: '4px',
+      cursor: 'pointer',
+      fontSize: '13px'
+    };
+    const saveBtn = createElement('button', {
+      style: { ...buttonStyle, backgroundColor: '#4285f4', color: 'white' }
+    }, [isUpdate ? '更新' : '保存']);
+    const dismissBtn = createElement('button', {
+      style: { ...buttonStyle, backgroundColor: '#eee', color: '#333' }
+    }, ['忽略']);
+    actions.appendChild(saveBtn);
+    actions.appendChild(dismissBtn);
+    prompt.appendChild(actions);
+    
+    // 关闭提示后按当前页面重新匹配环境：不匹配时隐藏面板，匹配时切换到该环境
+    const closePrompt = () => {
+      prompt.remove();
+      if (this.capturePrompt === prompt) {
+        this.capturePrompt = null;
+        this.lastCheckedUrl = null;
+        this.checkDomainMatch();
+      }
+    };
+    
+    saveBtn.addEventListener('click', async () => {
+      saveBtn.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'saveCapturedLogin',
+          username: nameInput?.value.trim() || ''
+        });
+        if (!response?.success) {
+          // 保险库锁定时保留提示，解锁后可以再次保存
+          alert(response?.error || '保存失败');
+          return;
+        }
+        
+        closePrompt();
+        showSuccessMessage(response.data === 'updated' ? '密码已更新' : '账号已保存');
+      } catch (error) {
+        console.error('保存账号失败:', error);
+        alert('保存账号失败: ' + error.message);
+      } finally {
+        saveBtn.disabled = false;
+      }
+    });
+    
+    dismissBtn.addEventListener('click', () => {
+      closePrompt();
+      chrome.runtime.sendMessage({ action: 'dismissCapturedLogin' }).catch(error => {
+        console.debug('忽略账号失败:', error);
+      });
+    });
+    
+    const header = this.panel.querySelector('.panel-header');
+    this.panel.insertBefore(prompt, header.nextSibling);
+    this.capturePrompt = prompt;
   }
   
   collapseToCircle() {
@@ -1105,56 +1530,431 @@ class FloatingPanel {
   }
 }
 
-// 匹配环境（根据登录页面URL）
-const matchEnvironment = async (currentUrl) => {
-  if (!currentUrl) return null;
+// 命令面板：输入关键词筛选当前环境的账号并回车登录，也可以切换到其他环境，全部操作都可以用键盘完成
+class CommandPalette {
+  constructor(floatingPanel) {
+    this.floatingPanel = floatingPanel;
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.accounts = [];
+    this.environments = [];
+    this.items = []; // 当前显示的条目：{ label, detail, run }
+    this.selectedIndex = 0;
+    this.previousFocus = null;
+    
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
   
-  try {
+  async open() {
+    if (this.overlay) {
+      this.input.focus();
+      this.input.select();
+      return;
+    }
+    
+    const envId = this.floatingPanel.currentEnvId;
     const result = await chrome.storage.local.get('environments');
-    const environments = result.environments || [];
+    this.environments = result.environments || [];
+    this.accounts = envId ? await this.floatingPanel.getOrderedAccounts(envId) : [];
     
-    // 规范化当前URL（移除末尾的斜杠、查询参数、hash等，只保留协议+域名+路径）
-    let normalizedCurrentUrl = currentUrl;
-    try {
-      const url = new URL(currentUrl);
-      normalizedCurrentUrl = `${url.protocol}//${url.host}${url.pathname}`.replace(/\/$/, '');
-    } catch (error) {
-      console.debug('URL规范化失败，使用原始URL:', error);
+    this.previousFocus = document.activeElement;
+    this.createOverlay();
+    this.update();
+    this.input.focus();
+  }
+  
+  close({ restoreFocus = true } = {}) {
+    this.overlay?.remove();
+    this.overlay = null;
+    this.input = null;
+    this.list = null;
+    this.items = [];
+    
+    if (restoreFocus && this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+  
+  createOverlay() {
+    this.overlay = createElement('div', {
+      id: 'account-manager-command-palette',
+      style: {
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        right: '0',
+        bottom: '0',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'flex-start',
+        paddingTop: '15vh',
+        backgroundColor: 'rgba(0,0,0,0.25)',
+        zIndex: '1000001',
+        fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"
+      }
+    });
+    
+    const dialog = createElement('div', {
+      role: 'dialog',
+      style: {
+        width: '480px',
+        maxWidth: 'calc(100vw - 40px)',
+        backgroundColor: 'white',
+        borderRadius: '8px',
+        boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+        overflow: 'hidden'
+      }
+    });
+    dialog.setAttribute('aria-label', '账号管理器命令面板');
+    
+    const envName = this.environments.find(env => env.id === this.floatingPanel.currentEnvId)?.name;
+    this.input = createElement('input', {
+      type: 'text',
+      placeholder: envName ? `搜索"${envName}"的账号，或输入环境名称切换环境` : '输入环境名称切换环境',
+      autocomplete: 'off',
+      spellcheck: false,
+      style: {
+        width: '100%',
+        boxSizing: 'border-box',
+        padding: '12px 14px',
+        border: 'none',
+        borderBottom: '1px solid #eee',
+        outline: 'none',
+        fontSize: '15px',
+        color: '#333',
+        backgroundColor: 'white'
+      }
+    });
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-expanded', 'true');
+    this.input.setAttribute('aria-controls', 'account-manager-palette-list');
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', this.handleKeyDown);
+    
+    this.list = createElement('div', {
+      id: 'account-manager-palette-list',
+      role: 'listbox',
+      style: {
+        maxHeight: '320px',
+        overflowY: 'auto',
+        padding: '4px 0'
+      }
+    });
+    
+    const hint = createElement('div', {
+      style: {
+        padding: '6px 14px',
+        borderTop: '1px solid #eee',
+        fontSize: '12px',
+        color: '#999'
+      }
+    }, ['↑↓ 选择 · Enter 执行 · Esc 关闭']);
+    
+    dialog.appendChild(this.input);
+    dialog.appendChild(this.list);
+    dialog.appendChild(hint);
+    this.overlay.appendChild(dialog);
+    
+    // 点击面板外关闭
+    this.overlay.addEventListener('mousedown', (e) => {
+      if (e.target === this.overlay) {
+        e.preventDefault();
+        this.close();
+      }
+    });
+    
+    document.body.appendChild(this.overlay);
+  }
+  
+  /**
+   * 根据输入内容生成条目：匹配的账号在前（规则同弹出窗口的搜索），匹配的环境在后
+   */
+  buildItems(query) {
+    const panel = this.floatingPanel;
+    const accountSearch = window.accountSearch;
+    
+    const accounts = query
+      ? accountSearch.search(query, this.accounts, this.environments).map(match => match.account)
+      : this.accounts;
+    const accountItems = accounts.map(account => ({
+      label: account.account ? `${account.username || '未命名'}（${account.account}）` : (account.username || '未命名'),
+      detail: panel.getTags(account).join(' · '),
+      run: () => {
+        this.close({ restoreFocus: false });
+        panel.handleLogin(account.id);
+      }
+    }));
+    
+    // 按标签筛选时只显示账号
+    const { terms, tags } = accountSearch.parseQuery(query);
+    const environments = tags.length > 0 ? [] : this.environments
+      .filter(env => env.id !== panel.currentEnvId)
+      .map(env => ({
+        env,
+        score: terms.reduce((total, term) => total + Math.max(
+          accountSearch.scoreText(env.name, term),
+          accountSearch.scoreText(env.loginUrl, term) * 0.5
+        ), 0),
+        matched: terms.every(term => accountSearch.scoreText(env.name, term) > 0 || accountSearch.scoreText(env.loginUrl, term) > 0)
+      }))
+      .filter(item => item.matched)
+      .sort((a, b) => b.score - a.score);
+    const envItems = environments.map(({ env }) => ({
+      label: `切换到环境：${env.name || '未命名环境'}`,
+      detail: env.loginUrl || '',
+      run: () => {
+        this.close();
+        panel.showPanel();
+        if (panel.isCollapsed) {
+          panel.expandFromCircle();
+        }
+        panel.switchEnvironment(env.id);
+      }
+    }));
+    
+    return [...accountItems, ...envItems];
+  }
+  
+  update() {
+    if (!this.input) return;
+    this.items = this.buildItems(this.input.value.trim());
+    this.selectedIndex = 0;
+    this.render();
+  }
+  
+  render() {
+    this.list.innerHTML = '';
+    
+    if (this.items.length === 0) {
+      this.list.appendChild(createElement('div', {
+        style: {
+          padding: '16px 14px',
+          textAlign: 'center',
+          color: '#999',
+          fontSize: '14px'
+        }
+      }, [this.accounts.length === 0 && !this.input.value.trim() ? '当前环境暂无账号' : '没有匹配的账号或环境']));
+      this.input.removeAttribute('aria-activedescendant');
+      return;
     }
     
-    // 遍历所有环境，检查当前URL是否匹配登录页面URL
-    for (const env of environments) {
-      if (!env.loginUrl) continue;
+    this.items.forEach((item, index) => {
+      const selected = index === this.selectedIndex;
+      const element = createElement('div', {
+        id: `account-manager-palette-item-${index}`,
+        role: 'option',
+        style: {
+          padding: '8px 14px',
+          cursor: 'pointer',
+          backgroundColor: selected ? '#eef0fc' : 'transparent',
+          borderLeft: selected ? '3px solid #667eea' : '3px solid transparent'
+        }
+      });
+      element.setAttribute('aria-selected', String(selected));
       
-      try {
-        // 规范化环境的登录URL
-        const envUrl = new URL(env.loginUrl);
-        const normalizedEnvUrl = `${envUrl.protocol}//${envUrl.host}${envUrl.pathname}`.replace(/\/$/, '');
-        
-        // 精确匹配
-        if (normalizedCurrentUrl === normalizedEnvUrl) {
-          console.debug('URL精确匹配:', normalizedCurrentUrl, '===', normalizedEnvUrl);
-          return env;
+      element.appendChild(createElement('div', {
+        style: {
+          fontSize: '14px',
+          color: '#333',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap'
         }
-        
-        // 路径匹配（支持通配符，如 /login/*）
-        if (normalizedEnvUrl.endsWith('/*')) {
-          const baseUrl = normalizedEnvUrl.slice(0, -2);
-          if (normalizedCurrentUrl.startsWith(baseUrl)) {
-            console.debug('URL通配符匹配:', normalizedCurrentUrl, 'startsWith', baseUrl);
-            return env;
+      }, [item.label]));
+      if (item.detail) {
+        element.appendChild(createElement('div', {
+          style: {
+            marginTop: '2px',
+            fontSize: '12px',
+            color: '#999',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap'
           }
-        }
-        
-        // 不再使用包含匹配，因为太宽松会导致误匹配
-        // 例如：登录URL是 https://example.com，当前URL是 https://example.com/dashboard 也会匹配
-      } catch (error) {
-        console.debug('环境URL解析失败:', env.loginUrl, error);
-        continue;
+        }, [item.detail]));
       }
-    }
+      
+      element.addEventListener('mousemove', () => {
+        if (this.selectedIndex !== index) {
+          this.select(index);
+        }
+      });
+      element.addEventListener('mousedown', (e) => {
+        // 保持输入框焦点
+        e.preventDefault();
+      });
+      element.addEventListener('click', () => item.run());
+      
+      this.list.appendChild(element);
+    });
+    
+    this.input.setAttribute('aria-activedescendant', `account-manager-palette-item-${this.selectedIndex}`);
+    this.list.children[this.selectedIndex]?.scrollIntoView({ block: 'nearest' });
+  }
+  
+  select(index) {
+    if (this.items.length === 0) return;
+    this.selectedIndex = (index + this.items.length) % this.items.length;
+    this.render();
+  }
+  
+  handleKeyDown(e) {
+    // 命令面板打开时不让页面响应按键
+    e.stopPropagation();
     
+    if (e.key === 'ArrowDown' || (e.key === 'Tab' && !e.shiftKey)) {
+      e.preventDefault();
+      this.select(this.selectedIndex + 1);
+    } else if (e.key === 'ArrowUp' || (e.key === 'Tab' && e.shiftKey)) {
+      e.preventDefault();
+      this.select(this.selectedIndex - 1);
+    } else if (e.key === 'Home' && e.ctrlKey) {
+      e.preventDefault();
+      this.select(0);
+    } else if (e.key === 'End' && e.ctrlKey) {
+      e.preventDefault();
+      this.select(this.items.length - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.items[this.selectedIndex]?.run();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    }
+  }
+}
+
+// 获取账号的登录凭据（由后台解密，与弹出窗口使用同一解密路径）和所属环境，失败时提示并返回 null
+const getLoginContext = async (accountId) => {
+  const response = await chrome.runtime.sendMessage({ action: 'getLoginCredential', accountId });
+  if (!response?.success) {
+    // 保险库锁定或当前页面不属于账号的环境时需要告诉用户
+    if (response?.locked || response?.denied) {
+      alert(response.error);
+    } else {
+      console.error('获取登录凭据失败:', response?.error);
+    }
     return null;
+  }
+  const account = response.data;
+  
+  // 账号所属环境的表单选择器、登录按钮和分步登录配置
+  const envResult = await chrome.storage.local.get('environments');
+  const environments = envResult.environments || [];
+  const env = environments.find(e => e.id === account.envId) || {};
+  return { account, env };
+};
+
+// 用账号登录当前页面，source 为发起登录的界面（panel / contextMenu），记录在登录记录中
+const loginWithAccount = async (accountId, source) => {
+  try {
+    const context = await getLoginContext(accountId);
+    if (!context) return;
+    const { account, env } = context;
+    
+    // 提交后页面可能立即跳转，需要在登录前记录，以便检测登录结果和填写验证码
+    await chrome.runtime.sendMessage({ action: 'beginLoginTracking', accountId, source });
+    
+    // 填充并提交登录表单（逻辑见 login-filler.js）
+    const result = await window.loginFiller.login(account, env);
+    if (!result.success) {
+      await chrome.runtime.sendMessage({ action: 'cancelLoginTracking', error: result.error });
+      alert(result.error);
+    } else {
+      // 不跳转页面、在当前页面显示结果或验证码输入框的情况
+      window.loginFiller.watchLoginResult().catch(error => {
+        console.debug('检测登录结果失败:', error);
+      });
+      if (account.hasTotp) {
+        window.loginFiller.fillPendingTotp().catch(error => {
+          console.debug('填写两步验证码失败:', error);
+        });
+      }
+    }
+  } catch (error) {
+    console.error('登录失败:', error);
+    alert('登录失败: ' + error.message);
+  }
+};
+
+// 右键点击的元素，右键菜单的"填写"优先填写它
+let contextMenuTarget = null;
+document.addEventListener('contextmenu', (e) => {
+  contextMenuTarget = e.target;
+}, true);
+
+// 只填写账号密码，不提交也不记录登录
+const fillWithAccount = async (accountId) => {
+  const context = await getLoginContext(accountId);
+  if (!context) return;
+  
+  const result = window.loginFiller.fill(context.account, context.env, contextMenuTarget);
+  if (!result.success) {
+    alert(result.error);
+  }
+};
+
+// 当前页面没有匹配的环境时悬浮面板不会自动创建，需要时再创建
+const ensureFloatingPanel = () => {
+  floatingPanel = floatingPanel || new FloatingPanel();
+  return floatingPanel;
+};
+
+// 把当前页面保存为新环境，并在悬浮面板中切换到该环境
+const savePageAsEnvironment = async () => {
+  const result = await chrome.storage.local.get('environments');
+  const environments = result.environments || [];
+  
+  const existing = window.urlMatcher.findEnvironment(environments, window.location.href);
+  if (existing && !confirm(`当前页面已匹配环境"${existing.name || '未命名环境'}"，仍要新建环境吗？`)) {
+    return;
+  }
+  
+  const name = prompt('新环境名称', document.title.trim() || window.location.hostname);
+  if (name === null) return;
+  
+  const env = {
+    id: Date.now().toString(),
+    name: name.trim() || window.location.hostname,
+    domain: window.location.host,
+    loginUrl: `${window.location.origin}${window.location.pathname}`,
+    loginButtonId: 'ch_login_btn',
+    loginButtonClass: 'formBtn',
+    createdAt: Date.now()
+  };
+  await chrome.storage.local.set({ environments: [...environments, env] });
+  
+  ensureFloatingPanel();
+  await floatingPanel.loadEnvironments();
+  floatingPanel.showPanel();
+  floatingPanel.switchEnvironment(env.id);
+  alert(`已保存环境"${env.name}"，可以在悬浮面板中为它添加账号`);
+};
+
+// 执行右键菜单命令（菜单由后台根据当前页面匹配的环境生成）
+const runContextMenuCommand = async ({ command, accountId }) => {
+  if (command === 'fill') {
+    await fillWithAccount(accountId);
+  } else if (command === 'submit') {
+    await loginWithAccount(accountId, 'contextMenu');
+  } else if (command === 'saveEnvironment') {
+    await savePageAsEnvironment();
+  }
+};
+
+// 匹配环境（根据登录页面URL，规则见 url-matcher.js）
+const matchEnvironment = async (currentUrl) => {
+  if (!currentUrl) return null;
+  
+  try {
+    const result = await chrome.storage.local.get('environments');
+    const env = window.urlMatcher.findEnvironment(result.environments || [], currentUrl);
+    if (env) {
+      console.debug('URL匹配到环境:', currentUrl, '=>', env.loginUrl);
+    }
+    return env;
   } catch (error) {
     console.error('环境匹配失败:', error);
     return null;
@@ -1189,7 +1989,8 @@ const initFloatingPanel = async () => {
   
   // 等待DOM加载完成
   const initPanel = () => {
-    floatingPanel = new FloatingPanel();
+    // 快捷键可能已经在页面加载期间创建了面板
+    ensureFloatingPanel();
     // 自动切换到匹配的环境
     if (floatingPanel && matchedEnv.id) {
       // 延迟一下确保面板已创建
@@ -1207,4 +2008,59 @@ const initFloatingPanel = async () => {
 };
 
 // 启动
-initFloatingPanel();
\ No newline at end of file
+initFloatingPanel();
+
+// 快捷键和右键菜单命令（由后台转发）：当前页面没有匹配的环境时也创建悬浮面板
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'runCommand') {
+    if (!floatingPanel) {
+      floatingPanel = new FloatingPanel();
+      // 新建的面板已经显示，不需要再切换
+      if (request.command === 'toggle-panel') {
+        sendResponse({ success: true });
+        return;
+      }
+    }
+    floatingPanel.runCommand(request.command).catch(error => {
+      console.error('执行快捷键命令失败:', error);
+    });
+    sendResponse({ success: true });
+  } else if (request.action === 'contextMenuCommand') {
+    runContextMenuCommand(request).catch(error => {
+      console.error('执行右键菜单命令失败:', error);
+      alert('操作失败: ' + error.message);
+    });
+    sendResponse({ success: true });
+  }
+});
+
+// 手动登录：提交登录表单时捕获账号密码（逻辑见 login-capture.js），在悬浮面板中询问是否保存
+const showCapturePrompt = (capture) => {
+  const show = () => ensureFloatingPanel().showCapturePrompt(capture);
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', show);
+  } else {
+    show();
+  }
+};
+
+if (window.location.protocol.startsWith('http')) {
+  window.loginCapture.start(showCapturePrompt);
+  
+  // 提交后跳转到的页面：继续询问上一个页面捕获的账号
+  chrome.runtime.sendMessage({ action: 'getCapturedLogin' }).then(response => {
+    if (response?.success && response.data) {
+      showCapturePrompt(response.data);
+    }
+  }).catch(error => {
+    console.debug('获取待保存的账号失败:', error);
+  });
+}
+
+// 登录后跳转到的页面：检测登录结果，可能还要求输入两步验证码（不要求匹配环境）
+window.loginFiller.watchLoginResult().catch(error => {
+  console.debug('检测登录结果失败:', error);
+});
+window.loginFiller.fillPendingTotp().catch(error => {
+  console.debug('填写两步验证码失败:', error);
+});
\ No newline at end of file
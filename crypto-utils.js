@@ -11,13 +11,30 @@ class CryptoUtils {
       length: 256
     };
     this.keyUsage = ['encrypt', 'decrypt'];
+    this.iterations = 100000;
+    
+    // 密文信封格式版本及算法标识
+    this.envelopeVersion = 1;
+    this.envelopeAlgorithm = 'AES-GCM';
+    this.envelopeKdf = 'PBKDF2-SHA256';
+    
+    // 保险库配置：本地只保存校验信息，派生出的密钥只保存在会话存储中
+    this.vaultStorageKey = 'vault';
+    this.sessionStorageKey = 'vaultSession';
+    this.verifierText = 'account-manager-vault';
+    this.idleTimeout = 15 * 60 * 1000; // 空闲15分钟后自动锁定
+    
+    // 当前上下文中缓存的密钥（与会话存储中的原始密钥对应）
+    this.cachedKey = null;
+    this.cachedRawKey = null;
   }
   
   /**
    * 生成加密密钥（从用户密码派生）
    * 使用 PBKDF2 派生密钥
+   * extractable 为 true 时密钥可导出，用于写入会话存储
    */
-  async deriveKey(password, salt) {
+  async deriveKey(password, salt, extractable = false, iterations = this.iterations) {
     try {
       // 导入密码
       const encoder = new TextEncoder();
@@ -34,12 +51,12 @@ class CryptoUtils {
         {
           name: 'PBKDF2',
           salt: salt,
-          iterations: 100000,
+          iterations: iterations,
           hash: 'SHA-256'
         },
         passwordKey,
         this.algorithm,
-        false,
+        extractable,
         this.keyUsage
       );
       
@@ -163,78 +180,555 @@ class CryptoUtils {
   }
   
   /**
-   * 使用主密码加密账号密码
-   * 主密码存储在扩展的storage中（可选：使用用户输入的主密码）
+   * 判断值是否为密文信封
+   * 格式：{ v, alg, kdf, iter, salt, iv, ct }，salt/iv/ct 为 Base64
    */
-  async encryptPassword(password, masterPassword = null) {
-    // 如果没有提供主密码，使用默认密钥（不安全，仅作示例）
-    // 实际应用中应该要求用户设置主密码
-    const master = masterPassword || await this.getMasterPassword();
-    
-    if (!master) {
-      // 如果没有主密码，返回原密码（不加密）
-      // 实际应用中应该强制要求设置主密码
-      console.warn('未设置主密码，密码将以明文存储（不安全）');
-      return password;
+  isEnvelope(value) {
+    return !!value &&
+      typeof value === 'object' &&
+      value.v === this.envelopeVersion &&
+      value.alg === this.envelopeAlgorithm &&
+      typeof value.salt === 'string' &&
+      typeof value.iv === 'string' &&
+      typeof value.ct === 'string';
+  }
+  
+  /**
+   * 判断密文信封是否由指定保险库加密（盐值与迭代次数一致）
+   */
+  belongsToVault(envelope, vault) {
+    return this.isEnvelope(envelope) &&
+      !!vault &&
+      envelope.salt === vault.salt &&
+      envelope.iter === vault.iterations;
+  }
+  
+  /**
+   * 使用已派生的密钥加密数据，返回密文信封
+   */
+  async encryptWithKey(plaintext, key, vault) {
+    try {
+      const encoder = new TextEncoder();
+      const iv = this.generateIV();
+      
+      const encrypted = await crypto.subtle.encrypt(
+        {
+          name: 'AES-GCM',
+          iv: iv
+        },
+        key,
+        encoder.encode(plaintext)
+      );
+      
+      return {
+        v: this.envelopeVersion,
+        alg: this.envelopeAlgorithm,
+        kdf: this.envelopeKdf,
+        iter: vault.iterations,
+        salt: vault.salt,
+        iv: this.arrayBufferToBase64(iv),
+        ct: this.arrayBufferToBase64(encrypted)
+      };
+    } catch (error) {
+      console.error('加密失败:', error);
+      throw new Error('加密失败');
+    }
+  }
+  
+  /**
+   * 使用已派生的密钥解密密文信封
+   */
+  async decryptWithKey(envelope, key) {
+    if (!this.isEnvelope(envelope)) {
+      throw new Error('无法识别的密文格式');
     }
     
     try {
-      return await this.encrypt(password, master);
+      const decrypted = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: this.base64ToArrayBuffer(envelope.iv)
+        },
+        key,
+        this.base64ToArrayBuffer(envelope.ct)
+      );
+      
+      return new TextDecoder().decode(decrypted);
     } catch (error) {
-      console.error('密码加密失败:', error);
-      // 加密失败时返回原密码
-      return password;
+      throw new Error('解密失败：密钥不匹配或数据已损坏');
     }
   }
   
   /**
-   * 解密账号密码
+   * 将旧版 Base64 密文（salt + iv + encrypted data）拆分为密文信封
+   * 只转换由指定保险库加密的数据，其他字符串返回 null（视为明文）
+   */
+  parseLegacyCiphertext(value, vault) {
+    if (!vault || typeof value !== 'string' || !this.isBase64(value)) return null;
+    
+    try {
+      const data = this.base64ToArrayBuffer(value);
+      // salt(16) + iv(12) + GCM tag(16)
+      if (data.length < 44) return null;
+      if (this.arrayBufferToBase64(data.slice(0, 16)) !== vault.salt) return null;
+      
+      return {
+        v: this.envelopeVersion,
+        alg: this.envelopeAlgorithm,
+        kdf: this.envelopeKdf,
+        iter: vault.iterations,
+        salt: vault.salt,
+        iv: this.arrayBufferToBase64(data.slice(16, 28)),
+        ct: this.arrayBufferToBase64(data.slice(28))
+      };
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * 获取保险库信息（盐值、迭代次数、校验密文）
    */
-  async decryptPassword(encryptedPassword, masterPassword = null) {
-    // 如果密码不是加密格式（Base64），直接返回
-    if (!this.isBase64(encryptedPassword)) {
-      return encryptedPassword;
+  async getVault() {
+    try {
+      const result = await chrome.storage.local.get(this.vaultStorageKey);
+      return result[this.vaultStorageKey] || null;
+    } catch (error) {
+      console.error('获取保险库信息失败:', error);
+      return null;
     }
+  }
+  
+  /**
+   * 根据主密码生成新的保险库信息和对应密钥
+   * 只生成数据，不写入存储，由调用方决定何时保存
+   */
+  async buildVault(password) {
+    const salt = this.generateSalt();
+    const key = await this.deriveKey(password, salt, true);
+    const vault = {
+      salt: this.arrayBufferToBase64(salt),
+      iterations: this.iterations,
+      createdAt: Date.now()
+    };
+    vault.verifier = await this.encryptWithKey(this.verifierText, key, vault);
     
-    const master = masterPassword || await this.getMasterPassword();
+    return { vault, key };
+  }
+  
+  /**
+   * 校验主密码，正确时返回派生出的密钥，否则返回 null
+   */
+  async verifyMasterPassword(password, vault = null) {
+    const currentVault = vault || await this.getVault();
+    if (!currentVault || !password) return null;
+    
+    const salt = this.base64ToArrayBuffer(currentVault.salt);
+    const key = await this.deriveKey(password, salt, true, currentVault.iterations);
     
-    if (!master) {
-      console.warn('未设置主密码，无法解密');
-      return encryptedPassword;
+    try {
+      const text = await this.decryptWithKey(currentVault.verifier, key);
+      return text === this.verifierText ? key : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * 输入主密码解锁保险库
+   */
+  async unlock(password) {
+    const vault = await this.getVault();
+    if (!vault) {
+      throw new Error('尚未设置主密码');
     }
     
+    const key = await this.verifyMasterPassword(password, vault);
+    if (!key) {
+      throw new Error('主密码不正确');
+    }
+    
+    await this.saveSessionKey(key);
+    return true;
+  }
+  
+  /**
+   * 锁定保险库：清除会话中的密钥
+   */
+  async lock() {
+    this.cachedKey = null;
+    this.cachedRawKey = null;
     try {
-      return await this.decrypt(encryptedPassword, master);
+      await chrome.storage.session.remove(this.sessionStorageKey);
     } catch (error) {
-      console.error('密码解密失败:', error);
-      return encryptedPassword;
+      console.error('锁定保险库失败:', error);
     }
   }
   
   /**
-   * 获取主密码（从storage或提示用户输入）
+   * 空闲超时检查，超时则锁定
    */
-  async getMasterPassword() {
+  async lockIfIdle() {
+    const session = await this.getSession();
+    if (session && session.expiresAt <= Date.now()) {
+      await this.lock();
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * 读取会话存储中的密钥信息
+   */
+  async getSession() {
     try {
-      const result = await chrome.storage.local.get('masterPassword');
-      return result.masterPassword || null;
+      const result = await chrome.storage.session.get(this.sessionStorageKey);
+      return result[this.sessionStorageKey] || null;
     } catch (error) {
-      console.error('获取主密码失败:', error);
+      console.error('读取会话密钥失败:', error);
       return null;
     }
   }
   
   /**
-   * 设置主密码
+   * 将密钥写入会话存储（内存中，不落盘，浏览器关闭即清除）
    */
-  async setMasterPassword(password) {
-    try {
-      await chrome.storage.local.set({ masterPassword: password });
+  async saveSessionKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    const rawKey = this.arrayBufferToBase64(raw);
+    
+    await chrome.storage.session.set({
+      [this.sessionStorageKey]: {
+        key: rawKey,
+        expiresAt: Date.now() + this.idleTimeout
+      }
+    });
+    
+    this.cachedKey = null;
+    this.cachedRawKey = null;
+  }
+  
+  /**
+   * 获取当前会话的保险库密钥，已锁定或超时返回 null
+   * 每次使用都会顺延空闲超时时间；extend 为 false 时不顺延，
+   * 用于不是用户操作触发的解密（如悬浮面板定时刷新验证码），避免保险库一直不锁定
+   */
+  async getVaultKey({ extend = true } = {}) {
+    const session = await this.getSession();
+    if (!session) {
+      this.cachedKey = null;
+      this.cachedRawKey = null;
+      return null;
+    }
+    
+    if (session.expiresAt <= Date.now()) {
+      await this.lock();
+      return null;
+    }
+    
+    if (extend) {
+      await chrome.storage.session.set({
+        [this.sessionStorageKey]: {
+          ...session,
+          expiresAt: Date.now() + this.idleTimeout
+        }
+      });
+    }
+    
+    if (!this.cachedKey || this.cachedRawKey !== session.key) {
+      this.cachedKey = await crypto.subtle.importKey(
+        'raw',
+        this.base64ToArrayBuffer(session.key),
+        this.algorithm,
+        false,
+        this.keyUsage
+      );
+      this.cachedRawKey = session.key;
+    }
+    
+    return this.cachedKey;
+  }
+  
+  /**
+   * 获取保险库状态
+   */
+  async getVaultStatus() {
+    const vault = await this.getVault();
+    const session = await this.getSession();
+    return {
+      initialized: !!vault,
+      unlocked: !!vault && !!session && session.expiresAt > Date.now()
+    };
+  }
+  
+  /**
+   * 使用保险库密钥加密账号密码，返回密文信封
+   * 未设置主密码时以明文存储；已设置但未解锁时抛出错误
+   */
+  async encryptPassword(password) {
+    const vault = await this.getVault();
+    if (!vault) {
+      console.warn('未设置主密码，密码将以明文存储（不安全）');
+      return password;
+    }
+    
+    const key = await this.getVaultKey();
+    if (!key) {
+      throw new Error('保险库已锁定，请先输入主密码解锁');
+    }
+    
+    return await this.encryptWithKey(password, key, vault);
+  }
+  
+  /**
+   * 解密账号密码
+   * 字符串一律视为明文；密文信封解密失败时抛出错误，不会返回密文
+   * options.extend 为 false 时不顺延保险库的空闲超时（见 getVaultKey）
+   */
+  async decryptPassword(storedPassword, options = {}) {
+    if (typeof storedPassword === 'string') {
+      return storedPassword;
+    }
+    
+    if (!this.isEnvelope(storedPassword)) {
+      throw new Error('无法识别的密码格式');
+    }
+    
+    const vault = await this.getVault();
+    if (!this.belongsToVault(storedPassword, vault)) {
+      throw new Error('该密码不是由当前主密码加密的，无法解密');
+    }
+    
+    const key = await this.getVaultKey(options);
+    if (!key) {
+      throw new Error('保险库已锁定，请先输入主密码解锁');
+    }
+    
+    return await this.decryptWithKey(storedPassword, key);
+  }
+  
+  /**
+   * 对账号中所有需要加密的值（密码、两步验证密钥和标记为加密的自定义字段）执行转换
+   * transform(value, label) 返回转换后的值，label 用于错误提示；返回新的账号对象
+   */
+  async mapAccountSecrets(account, transform) {
+    const mapped = { ...account };
+    
+    if (account.password) {
+      mapped.password = await transform(account.password, '密码');
+    }
+    
+    if (account.totpSecret) {
+      mapped.totpSecret = await transform(account.totpSecret, '两步验证密钥');
+    }
+    
+    if (Array.isArray(account.customFields)) {
+      mapped.customFields = [];
+      for (const field of account.customFields) {
+        mapped.customFields.push(field.secret && field.value ? {
+          ...field,
+          value: await transform(field.value, `字段"${field.name}"`)
+        } : field);
+      }
+    }
+    
+    return mapped;
+  }
+  
+  /**
+   * 检查账号中是否还有未加密的密码、两步验证密钥或加密字段
+   */
+  hasPlaintextSecrets(account) {
+    if (typeof account.password === 'string' && account.password) {
       return true;
-    } catch (error) {
-      console.error('设置主密码失败:', error);
+    }
+    if (typeof account.totpSecret === 'string' && account.totpSecret) {
+      return true;
+    }
+    return (account.customFields || []).some(field => field.secret && typeof field.value === 'string' && field.value);
+  }
+  
+  /**
+   * 检查账号中是否有不属于指定保险库的密文（来自其他设备或更换主密码前的备份，无法解密）
+   */
+  hasForeignSecrets(account, vault) {
+    const values = [
+      account.password,
+      account.totpSecret,
+      ...(account.customFields || []).filter(field => field.secret).map(field => field.value)
+    ];
+    return values.some(value => value && typeof value !== 'string' && !this.belongsToVault(value, vault));
+  }
+  
+  /**
+   * 解密账号的密码和加密字段（保险库锁定时抛出错误）
+   */
+  async decryptAccount(account) {
+    return this.mapAccountSecrets(account, (value) => this.decryptPassword(value));
+  }
+  
+  /**
+   * 解密交给网页中的内容脚本使用的登录凭据：不包含两步验证密钥（验证码只由后台生成），
+   * 用 hasTotp 标记账号是否设置了两步验证
+   */
+  async decryptLoginCredential(account) {
+    const { totpSecret, ...credential } = account;
+    return { ...(await this.decryptAccount(credential)), hasTotp: !!totpSecret };
+  }
+  
+  /**
+   * 使用保险库加密账号中的明文密码和加密字段，已加密的值保持不变
+   */
+  async encryptAccount(account) {
+    return this.mapAccountSecrets(account, (value) => (
+      typeof value === 'string' ? this.encryptPassword(value) : value
+    ));
+  }
+  
+  /**
+   * 首次设置主密码：建立保险库并加密所有已有的明文密码
+   * 所有数据一次写入，失败时存储保持不变
+   */
+  async setupMasterPassword(password) {
+    if (await this.getVault()) {
+      throw new Error('主密码已设置，请使用修改主密码');
+    }
+    
+    const { vault, key } = await this.buildVault(password);
+    
+    const result = await chrome.storage.local.get('accounts');
+    const accounts = [];
+    for (const account of result.accounts || []) {
+      accounts.push(await this.mapAccountSecrets(account, (value) => (
+        typeof value === 'string' ? this.encryptWithKey(value, key, vault) : value
+      )));
+    }
+    
+    await chrome.storage.local.set({ [this.vaultStorageKey]: vault, accounts });
+    await this.saveSessionKey(key);
+    return accounts.length;
+  }
+  
+  /**
+   * 修改主密码：用旧密钥解密所有账号密码，再用新密钥重新加密
+   * 任何一个密码解密失败都会中止，存储保持不变；成功后一次写入
+   */
+  async changeMasterPassword(oldPassword, newPassword) {
+    const oldVault = await this.getVault();
+    if (!oldVault) {
+      throw new Error('尚未设置主密码');
+    }
+    
+    const oldKey = await this.verifyMasterPassword(oldPassword, oldVault);
+    if (!oldKey) {
+      throw new Error('当前主密码不正确');
+    }
+    
+    const { vault, key } = await this.buildVault(newPassword);
+    
+    const result = await chrome.storage.local.get('accounts');
+    const accounts = [];
+    for (const account of result.accounts || []) {
+      accounts.push(await this.mapAccountSecrets(account, async (value, label) => {
+        let plaintext = value;
+        if (typeof value !== 'string') {
+          try {
+            if (!this.belongsToVault(value, oldVault)) {
+              throw new Error('密文不属于当前保险库');
+            }
+            plaintext = await this.decryptWithKey(value, oldKey);
+          } catch (error) {
+            throw new Error(`账号"${account.username || account.account || account.id}"的${label}解密失败，主密码未修改`);
+          }
+        }
+        return this.encryptWithKey(plaintext, key, vault);
+      }));
+    }
+    
+    await chrome.storage.local.set({ [this.vaultStorageKey]: vault, accounts });
+    await this.saveSessionKey(key);
+    return accounts.length;
+  }
+  
+  /**
+   * 迁移旧版本明文存储的主密码
+   * 用旧主密码建立保险库，重新加密所有账号密码，然后删除明文主密码
+   */
+  async migrateLegacyMasterPassword() {
+    const result = await chrome.storage.local.get(['masterPassword', 'accounts', this.vaultStorageKey]);
+    const legacyPassword = result.masterPassword;
+    if (!legacyPassword) return false;
+    
+    if (result[this.vaultStorageKey]) {
+      await chrome.storage.local.remove('masterPassword');
       return false;
     }
+    
+    const { vault, key } = await this.buildVault(legacyPassword);
+    
+    const accounts = [];
+    for (const account of result.accounts || []) {
+      if (!account.password || typeof account.password !== 'string') {
+        accounts.push(account);
+        continue;
+      }
+      
+      let plaintext = account.password;
+      if (this.isBase64(account.password)) {
+        try {
+          plaintext = await this.decrypt(account.password, legacyPassword);
+        } catch {
+          // 不是旧主密码加密的数据，按明文处理
+          plaintext = account.password;
+        }
+      }
+      
+      accounts.push({
+        ...account,
+        password: await this.encryptWithKey(plaintext, key, vault)
+      });
+    }
+    
+    await chrome.storage.local.set({ [this.vaultStorageKey]: vault, accounts });
+    await chrome.storage.local.remove('masterPassword');
+    return true;
+  }
+  
+  /**
+   * 将旧版 Base64 字符串密文迁移为密文信封
+   * 只需拆分字节，无需密钥；无法识别为本保险库密文的字符串保留为明文
+   */
+  async migrateLegacyCiphertexts() {
+    const result = await chrome.storage.local.get(['accounts', this.vaultStorageKey]);
+    const vault = result[this.vaultStorageKey];
+    if (!vault) return 0;
+    
+    let migrated = 0;
+    
+    if (typeof vault.verifier === 'string') {
+      vault.verifier = this.parseLegacyCiphertext(vault.verifier, vault) || vault.verifier;
+    }
+    
+    const { accounts, migrated: migratedAccounts } = this.migrateLegacyAccounts(result.accounts || [], vault);
+    migrated += migratedAccounts;
+    
+    await chrome.storage.local.set({ [this.vaultStorageKey]: vault, accounts });
+    return migrated;
+  }
+  
+  /**
+   * 把账号列表中旧版 Base64 字符串密文的密码转换为密文信封（本地数据和旧版备份共用）
+   * 返回 { accounts, migrated }，不修改传入的账号
+   */
+  migrateLegacyAccounts(accounts, vault) {
+    let migrated = 0;
+    const migratedAccounts = accounts.map(account => {
+      const envelope = account && typeof account === 'object' ? this.parseLegacyCiphertext(account.password, vault) : null;
+      if (!envelope) return account;
+      migrated++;
+      return { ...account, password: envelope };
+    });
+    return { accounts: migratedAccounts, migrated };
   }
   
   /**
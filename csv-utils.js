@@ -0,0 +1,205 @@
+/**
+ * CSV 工具
+ * 解析密码管理器导出的 CSV 文件（Chrome、Bitwarden、KeePass 等）
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class CsvUtils {
+  constructor() {
+    // 已知的导出格式（按列名识别，列名不区分大小写）
+    // 顺序很重要：列更多、更具体的格式放在前面
+    this.formats = [
+      {
+        id: 'bitwarden',
+        name: 'Bitwarden',
+        required: ['login_uri', 'login_username', 'login_password'],
+        columns: {
+          title: 'name',
+          url: 'login_uri',
+          username: 'login_username',
+          password: 'login_password',
+          totp: 'login_totp',
+          notes: 'notes',
+          type: 'type'
+        }
+      },
+      {
+        id: 'keepassxc',
+        name: 'KeePassXC',
+        required: ['title', 'username', 'password', 'url'],
+        columns: {
+          title: 'title',
+          url: 'url',
+          username: 'username',
+          password: 'password',
+          totp: 'totp',
+          notes: 'notes'
+        }
+      },
+      {
+        id: 'keepass',
+        name: 'KeePass',
+        required: ['account', 'login name', 'password', 'web site'],
+        columns: {
+          title: 'account',
+          url: 'web site',
+          username: 'login name',
+          password: 'password',
+          notes: 'comments'
+        }
+      },
+      {
+        id: 'chrome',
+        name: 'Chrome',
+        required: ['url', 'username', 'password'],
+        columns: {
+          title: 'name',
+          url: 'url',
+          username: 'username',
+          password: 'password',
+          notes: 'note'
+        }
+      }
+    ];
+  }
+  
+  /**
+   * 解析 CSV 文本为二维数组
+   * 支持引号包裹的字段、字段内的逗号/换行以及 "" 转义
+   */
+  parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    // 移除 UTF-8 BOM
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      
+      if (inQuotes) {
+        if (char === '"') {
+          if (input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += char;
+        }
+        continue;
+      }
+      
+      if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    
+    if (inQuotes) {
+      throw new Error('CSV格式错误：引号未闭合');
+    }
+    
+    // 最后一行（文件末尾没有换行）
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    
+    // 忽略空行
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+  
+  /**
+   * 将二维数组转换为 CSV 文本
+   */
+  stringify(rows) {
+    return rows.map(cells => cells.map(cell => {
+      const value = cell === null || cell === undefined ? '' : String(cell);
+      return /[",\r\n]/.test(value) || value !== value.trim()
+        ? `"${value.replace(/"/g, '""')}"`
+        : value;
+    }).join(',')).join('\r\n');
+  }
+  
+  /**
+   * 根据表头识别导出格式，无法识别返回 null
+   */
+  detectFormat(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    return this.formats.find(format => format.required.every(column => normalized.includes(column))) || null;
+  }
+  
+  /**
+   * 解析密码管理器导出的 CSV，返回识别出的格式和登录记录
+   * 每条记录：{ line, title, url, username, password, totp, notes }
+   */
+  parseLoginRecords(text) {
+    const rows = this.parse(text);
+    if (rows.length === 0) {
+      throw new Error('CSV文件为空');
+    }
+    
+    const [headers, ...dataRows] = rows;
+    const format = this.detectFormat(headers);
+    if (!format) {
+      throw new Error('无法识别的CSV格式，支持 Chrome、Bitwarden、KeePass、KeePassXC 导出的文件');
+    }
+    
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    const indexes = {};
+    Object.entries(format.columns).forEach(([key, column]) => {
+      indexes[key] = normalized.indexOf(column);
+    });
+    
+    const cell = (cells, key) => (indexes[key] >= 0 ? (cells[indexes[key]] || '').trim() : '');
+    
+    const records = [];
+    dataRows.forEach((cells, index) => {
+      // Bitwarden 导出中还包含安全笔记、银行卡等非登录条目
+      const type = cell(cells, 'type');
+      if (type && type.toLowerCase() !== 'login') return;
+      
+      records.push({
+        line: index + 2,
+        title: cell(cells, 'title'),
+        // Bitwarden 的多个网址以逗号分隔，取第一个
+        url: cell(cells, 'url').split(',')[0].trim(),
+        username: cell(cells, 'username'),
+        password: indexes.password >= 0 ? (cells[indexes.password] || '') : '',
+        totp: cell(cells, 'totp'),
+        notes: cell(cells, 'notes')
+      });
+    });
+    
+    return { format, records };
+  }
+}
+
+// 导出单例
+const csvUtils = new CsvUtils();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.csvUtils = csvUtils;
+}
+
+// 如果在Service Worker环境中，使用self
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+  self.csvUtils = csvUtils;
+}
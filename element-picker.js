@@ -0,0 +1,361 @@
+/**
+ * 元素拾取器 - 内容脚本
+ * 在页面上依次点击用户名输入框、密码输入框和登录按钮，生成选择器并保存到环境
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class ElementPicker {
+  constructor() {
+    this.singleSteps = [
+      { key: 'usernameSelector', label: '用户名输入框' },
+      { key: 'passwordSelector', label: '密码输入框' },
+      { key: 'submitSelector', label: '登录按钮' }
+    ];
+    // 分步登录：点击"下一步"后密码输入框才出现，这一步的点击需要传递给页面
+    this.multiSteps = [
+      { key: 'usernameSelector', label: '用户名输入框' },
+      { key: 'nextSelector', label: '下一步按钮', hint: '先输入账号，再', passThrough: true },
+      { key: 'passwordSelector', label: '密码输入框' },
+      { key: 'submitSelector', label: '登录按钮' }
+    ];
+    this.steps = this.singleSteps;
+    this.active = false;
+    this.envId = null;
+    this.stepIndex = 0;
+    this.picked = {};
+    this.highlight = null;
+    this.toolbar = null;
+    this.hiddenPanel = null; // 拾取期间隐藏的悬浮面板：{ element, display }
+    this.passingThrough = null; // 正在传递给页面的点击目标
+    
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.blockEvent = this.blockEvent.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+  
+  /**
+   * 开始拾取，结果保存到指定环境
+   */
+  async start(envId) {
+    if (!envId) return;
+    if (this.active) {
+      this.stop();
+    }
+    
+    const result = await chrome.storage.local.get('environments');
+    const env = (result.environments || []).find(e => e.id === envId);
+    this.steps = env?.multiStep ? this.multiSteps : this.singleSteps;
+    
+    this.active = true;
+    this.envId = envId;
+    this.stepIndex = 0;
+    this.picked = {};
+    
+    // 隐藏悬浮面板，避免误点
+    const panel = document.getElementById('account-manager-panel');
+    if (panel) {
+      this.hiddenPanel = { element: panel, display: panel.style.display };
+      panel.style.display = 'none';
+    }
+    
+    this.createHighlight();
+    this.createToolbar();
+    this.updateToolbar();
+    
+    // 捕获阶段拦截，避免页面响应拾取时的点击
+    document.addEventListener('mousemove', this.handleMouseMove, true);
+    document.addEventListener('click', this.handleClick, true);
+    ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+      document.addEventListener(type, this.blockEvent, true);
+    });
+    document.addEventListener('keydown', this.handleKeyDown, true);
+  }
+  
+  stop() {
+    this.active = false;
+    
+    document.removeEventListener('mousemove', this.handleMouseMove, true);
+    document.removeEventListener('click', this.handleClick, true);
+    ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+      document.removeEventListener(type, this.blockEvent, true);
+    });
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    
+    this.highlight?.remove();
+    this.highlight = null;
+    this.toolbar?.remove();
+    this.toolbar = null;
+    
+    if (this.hiddenPanel) {
+      this.hiddenPanel.element.style.display = this.hiddenPanel.display;
+      this.hiddenPanel = null;
+    }
+  }
+  
+  createHighlight() {
+    this.highlight = document.createElement('div');
+    this.highlight.id = 'account-manager-picker-highlight';
+    Object.assign(this.highlight.style, {
+      position: 'fixed',
+      display: 'none',
+      pointerEvents: 'none',
+      border: '2px solid #4285f4',
+      borderRadius: '3px',
+      backgroundColor: 'rgba(66, 133, 244, 0.15)',
+      zIndex: '1000002',
+      boxSizing: 'border-box'
+    });
+    document.body.appendChild(this.highlight);
+  }
+  
+  createToolbar() {
+    this.toolbar = document.createElement('div');
+    this.toolbar.id = 'account-manager-picker-toolbar';
+    Object.assign(this.toolbar.style, {
+      position: 'fixed',
+      top: '10px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '10px 16px',
+      backgroundColor: '#333',
+      color: 'white',
+      borderRadius: '6px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+      zIndex: '1000003',
+      fontSize: '14px',
+      fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+      whiteSpace: 'nowrap'
+    });
+    
+    const message = document.createElement('span');
+    message.className = 'picker-message';
+    
+    const createButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      Object.assign(button.style, {
+        padding: '4px 10px',
+        border: '1px solid rgba(255,255,255,0.4)',
+        borderRadius: '4px',
+        backgroundColor: 'transparent',
+        color: 'white',
+        cursor: 'pointer',
+        fontSize: '12px'
+      });
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    
+    const skipBtn = createButton('跳过', () => this.nextStep());
+    skipBtn.className = 'picker-skip';
+    const cancelBtn = createButton('取消', () => this.stop());
+    
+    this.toolbar.appendChild(message);
+    this.toolbar.appendChild(skipBtn);
+    this.toolbar.appendChild(cancelBtn);
+    document.body.appendChild(this.toolbar);
+  }
+  
+  updateToolbar() {
+    if (!this.toolbar) return;
+    
+    const step = this.steps[this.stepIndex];
+    this.toolbar.querySelector('.picker-message').textContent =
+      `第${this.stepIndex + 1}/${this.steps.length}步：请${step.hint || ''}点击${step.label}（Esc 取消）`;
+  }
+  
+  isPickerElement(element) {
+    return !!(this.toolbar && this.toolbar.contains(element));
+  }
+  
+  /**
+   * 把点击位置修正为实际需要的元素
+   * 例如点击了 label 时取其关联的输入框，点击了按钮内的图标时取按钮本身
+   */
+  resolveTarget(element) {
+    const step = this.steps[this.stepIndex];
+    
+    if (step.key === 'submitSelector' || step.key === 'nextSelector') {
+      return element.closest('button, input[type="submit"], input[type="button"], a, [role="button"]') || element;
+    }
+    
+    const label = element.closest('label');
+    if (label && label.control) {
+      return label.control;
+    }
+    return element;
+  }
+  
+  handleMouseMove(e) {
+    if (!this.highlight) return;
+    
+    if (this.isPickerElement(e.target)) {
+      this.highlight.style.display = 'none';
+      return;
+    }
+    
+    const rect = this.resolveTarget(e.target).getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+  
+  blockEvent(e) {
+    if (this.isPickerElement(e.target) || e.target === this.passingThrough) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+  }
+  
+  handleClick(e) {
+    if (this.isPickerElement(e.target) || e.target === this.passingThrough) return;
+    
+    this.blockEvent(e);
+    
+    const step = this.steps[this.stepIndex];
+    const target = this.resolveTarget(e.target);
+    this.picked[step.key] = this.buildSelector(target);
+    
+    if (step.passThrough) {
+      // 让页面响应这次点击，进入输入密码的步骤
+      this.passingThrough = target;
+      target.click();
+      this.passingThrough = null;
+    } else if (step.key === 'usernameSelector' && this.steps === this.multiSteps) {
+      // 拾取时页面收不到鼠标事件，主动聚焦以便用户输入账号
+      target.focus();
+    }
+    
+    this.nextStep();
+  }
+  
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.stop();
+    }
+  }
+  
+  nextStep() {
+    this.stepIndex++;
+    if (this.stepIndex < this.steps.length) {
+      this.updateToolbar();
+    } else {
+      this.finish();
+    }
+  }
+  
+  async finish() {
+    const envId = this.envId;
+    const picked = this.picked;
+    this.stop();
+    
+    if (Object.keys(picked).length === 0) {
+      return;
+    }
+    
+    try {
+      const result = await chrome.storage.local.get('environments');
+      const environments = result.environments || [];
+      const index = environments.findIndex(e => e.id === envId);
+      if (index === -1) {
+        throw new Error('环境不存在');
+      }
+      
+      environments[index] = {
+        ...environments[index],
+        ...picked,
+        updatedAt: Date.now()
+      };
+      await chrome.storage.local.set({ environments });
+      
+      alert(`已保存到环境"${environments[index].name || '未命名环境'}"：\n` +
+        this.steps
+          .filter(step => picked[step.key])
+          .map(step => `${step.label}：${picked[step.key]}`)
+          .join('\n'));
+    } catch (error) {
+      console.error('保存拾取结果失败:', error);
+      alert('保存失败: ' + error.message);
+    }
+  }
+  
+  /**
+   * 生成尽量稳定且在页面中唯一的选择器
+   * 优先级：ID > 常用属性 > class 组合 > 从唯一祖先开始的层级路径
+   */
+  buildSelector(element) {
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'body' || tag === 'html') {
+      return tag;
+    }
+    
+    const isUnique = (selector) => {
+      try {
+        return document.querySelectorAll(selector).length === 1;
+      } catch (error) {
+        return false;
+      }
+    };
+    
+    // 含有较长数字串的 ID 和 class 多为框架自动生成，刷新后会变化
+    const isStable = (value) => value && value.length <= 60 && !/\d{4,}/.test(value);
+    
+    if (isStable(element.id)) {
+      const selector = `#${CSS.escape(element.id)}`;
+      if (isUnique(selector)) return selector;
+    }
+    
+    const attributes = ['name', 'data-testid', 'data-test', 'data-qa', 'aria-label', 'placeholder', 'type'];
+    for (const attribute of attributes) {
+      const value = element.getAttribute(attribute);
+      if (isStable(value)) {
+        const selector = `${tag}[${attribute}="${value.replace(/["\\]/g, '\\$&')}"]`;
+        if (isUnique(selector)) return selector;
+      }
+    }
+    
+    const classes = [...element.classList].filter(isStable).map(className => `.${CSS.escape(className)}`);
+    if (classes.length > 0) {
+      const selector = `${tag}${classes.join('')}`;
+      if (isUnique(selector)) return selector;
+    }
+    
+    const parent = element.parentElement;
+    if (!parent) {
+      return tag;
+    }
+    
+    const sameTagSiblings = [...parent.children].filter(child => child.tagName === element.tagName);
+    const part = sameTagSiblings.length > 1
+      ? `${tag}:nth-of-type(${sameTagSiblings.indexOf(element) + 1})`
+      : tag;
+    return `${this.buildSelector(parent)} > ${part}`;
+  }
+}
+
+// 导出单例
+const elementPicker = new ElementPicker();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.elementPicker = elementPicker;
+}
+
+// 弹出窗口通过消息启动拾取（任何页面都可以使用，不要求匹配环境）
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'startElementPicker') {
+    elementPicker.start(request.envId);
+    sendResponse({ success: true });
+  }
+});
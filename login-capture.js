@@ -0,0 +1,127 @@
+/**
+ * 手动登录捕获 - 内容脚本
+ * 检测用户在页面上手动提交的登录表单，把账号密码交给后台暂存，由悬浮面板询问是否保存到环境
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class LoginCapture {
+  constructor() {
+    this.started = false;
+    this.environments = [];
+    this.onCapture = null; // 后台确认需要询问用户时调用：(capture) => {}
+    
+    // 同一次提交可能同时触发点击、回车和 submit 事件，短时间内相同的账号密码只处理一次
+    this.lastCapture = null; // { key, at }
+    this.dedupeWindow = 3000;
+    
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+  
+  start(onCapture) {
+    this.onCapture = onCapture;
+    if (this.started) return;
+    this.started = true;
+    
+    // 提交时页面可能马上跳转，提前读取环境配置，提交时同步匹配
+    chrome.storage.local.get('environments').then(result => {
+      this.environments = result.environments || [];
+    });
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.environments) {
+        this.environments = changes.environments.newValue || [];
+      }
+    });
+    
+    // 捕获阶段监听，页面阻止默认提交或停止冒泡时也能检测到
+    document.addEventListener('submit', this.handleSubmit, true);
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+  }
+  
+  // 只处理用户的操作，扩展自动填充时脚本触发的点击不算手动登录
+  handleSubmit(e) {
+    if (!e.isTrusted) return;
+    this.capture(e.target);
+  }
+  
+  // 没有 form 元素的登录页面：点击登录按钮时检查页面上已填写的密码框
+  handleClick(e) {
+    if (!e.isTrusted || !e.target.closest || e.target.closest('form, #account-manager-panel')) return;
+    const env = window.urlMatcher.findEnvironment(this.environments, window.location.href);
+    if (!env || !this.isLoginButton(e.target, env)) return;
+    this.capture(null);
+  }
+  
+  // 点击的是否为登录按钮（环境配置的提交按钮或按文字识别的登录按钮），显示密码之类的按钮不算
+  isLoginButton(target, env) {
+    const filler = window.loginFiller;
+    return [filler.findSubmitButton(null, env), filler.detectLoginButton()]
+      .some(button => button && button.contains(target));
+  }
+  
+  // 在没有 form 元素的密码框中按回车
+  handleKeyDown(e) {
+    if (!e.isTrusted || e.key !== 'Enter') return;
+    const input = e.target;
+    if (input?.tagName !== 'INPUT' || input.type !== 'password' || input.closest('form')) return;
+    this.capture(null);
+  }
+  
+  /**
+   * 读取表单（没有 form 时为整个页面）中已填写的账号和密码，优先使用环境配置的选择器
+   * 返回 { account, password }，没有填写完整时返回 null
+   */
+  readCredentials(form, env) {
+    const filler = window.loginFiller;
+    const passwordInput = filler.findInput(form || document, env.passwordSelector, filler.passwordSelectors, true);
+    if (!passwordInput?.value) return null;
+    
+    const container = passwordInput.closest('form') || document;
+    const usernameInput = filler.findInput(container, env.usernameSelector, filler.usernameSelectors, true);
+    const account = usernameInput?.value.trim();
+    if (!account) return null;
+    
+    return { account, password: passwordInput.value };
+  }
+  
+  async capture(form) {
+    // 只处理匹配到环境的页面；页面可能马上跳转，先同步读取输入框的值
+    const env = window.urlMatcher.findEnvironment(this.environments, window.location.href);
+    if (!env) return;
+    const credentials = this.readCredentials(form, env);
+    if (!credentials) return;
+    
+    const key = `${credentials.account}\n${credentials.password}`;
+    const now = Date.now();
+    if (this.lastCapture && this.lastCapture.key === key && now - this.lastCapture.at < this.dedupeWindow) {
+      return;
+    }
+    this.lastCapture = { key, at: now };
+    
+    try {
+      // 由后台与环境中已保存的账号比较，只有新账号或密码变化时才返回需要询问的内容
+      const response = await chrome.runtime.sendMessage({
+        action: 'captureLogin',
+        envId: env.id,
+        account: credentials.account,
+        password: credentials.password
+      });
+      if (response?.success && response.data && this.onCapture) {
+        this.onCapture(response.data);
+      }
+    } catch (error) {
+      // 页面跳转后消息通道可能已关闭，后台已收到的捕获结果会在下一个页面询问
+      console.debug('捕获登录信息失败:', error);
+    }
+  }
+}
+
+// 导出单例
+const loginCapture = new LoginCapture();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.loginCapture = loginCapture;
+}
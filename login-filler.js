@@ -0,0 +1,864 @@
+/**
+ * 登录表单填充 - 内容脚本
+ * 悬浮面板和弹出窗口共用的填充与提交逻辑，支持先输入账号、再输入密码的分步登录
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class LoginFiller {
+  constructor() {
+    // 分步登录时等待密码输入框出现的默认超时时间（毫秒）
+    this.defaultStepTimeout = 10000;
+    
+    this.formSelectors = [
+      'form[action*="login"]',
+      'form[action*="signin"]',
+      'form[action*="auth"]',
+      'form'
+    ];
+    
+    // 查找用户名/账号输入框（包括 email 类型，因为很多网站使用 email 作为登录字段）
+    this.usernameSelectors = [
+      'input[name="username"]',
+      'input[name="email"]', // 很多网站使用 email 作为登录字段
+      'input[name="user"]',
+      'input[type="email"]', // 很多网站使用 email 类型
+      'input[type="text"]',
+      'input[id*="user"]',
+      'input[id*="email"]', // 很多网站使用 email 作为 id
+      'input[id*="login"]'
+    ];
+    
+    this.passwordSelectors = [
+      'input[type="password"]',
+      'input[name="password"]',
+      'input[name="pass"]',
+      'input[id*="password"]',
+      'input[id*="pass"]'
+    ];
+    
+    // 登录按钮的常见文字（忽略空格和大小写），页面没有登录表单时用来识别登录按钮
+    this.loginButtonTexts = ['登录', '登入', 'signin', 'login', 'logon'];
+    
+    // 两步验证码输入框（排除图形验证码）
+    // 不使用 code、verif 之类的包含匹配，它们会命中邮编、区号和图形验证码（如 verifyCode、checkCode）
+    this.otpSelectors = [
+      'input[autocomplete="one-time-code"]',
+      'input[name*="otp" i]',
+      'input[id*="otp" i]',
+      'input[name*="totp" i]',
+      'input[name*="2fa" i]',
+      'input[name*="mfa" i]',
+      'input[name="code" i]',
+      'input[id="code" i]'
+    ];
+    
+    // 图形验证码输入框的常见名称
+    this.captchaPattern = /captcha|verifycode|checkcode|imgcode|validatecode|piccode/i;
+    
+    // 登录提交后等待验证码输入框出现的时间（毫秒），包括页面跳转后重新加载的时间
+    this.otpTimeout = 30000;
+    
+    // 常见的登录失败提示元素（环境未配置失败提示选择器时使用）
+    this.loginErrorSelectors = [
+      '[role="alert"]',
+      '.alert-danger',
+      '.error-message',
+      '.login-error',
+      '.el-form-item__error',
+      '.el-message--error',
+      '.ant-form-item-explain-error',
+      '.ant-message-error'
+    ];
+    
+    // 常见的登录失败提示文字，只在失败提示元素中查找（整个页面中会命中“忘记账号或密码？”之类的链接）
+    this.loginErrorTexts = [
+      '错误',
+      '失败',
+      '不正确',
+      '密码错误',
+      '用户名或密码',
+      '账号或密码',
+      '账户或密码',
+      '账号已锁定',
+      '账号已被锁定',
+      'Invalid username or password',
+      'Incorrect username or password',
+      'Incorrect password',
+      'invalid',
+      'incorrect',
+      'failed'
+    ];
+    
+    // 登录提交后检测结果的最长时间，以及离开登录页面后确认没有失败提示的时间（毫秒）
+    this.loginResultTimeout = 15000;
+    this.loginSuccessDelay = 2000;
+    
+    // 登录脚本支持的步骤类型（弹出窗口的步骤编辑器也使用这份定义）
+    this.stepTypes = {
+      fill: { label: '填写', needsSelector: true },
+      click: { label: '点击', needsSelector: true },
+      waitFor: { label: '等待元素出现', needsSelector: true },
+      wait: { label: '等待', needsSelector: false },
+      select: { label: '选择下拉选项', needsSelector: true }
+    };
+    
+    // 填写步骤的值来源
+    this.valueSources = {
+      account: '账号',
+      password: '密码',
+      username: '用户名',
+      field: '自定义字段',
+      text: '固定文本'
+    };
+    
+    // 调试运行时每一步之间的停顿（毫秒），便于观察页面变化
+    this.debugStepDelay = 600;
+  }
+  
+  /**
+   * 按环境配置的CSS选择器查找元素，未配置或选择器无效时返回 null
+   */
+  queryConfigured(selector) {
+    if (!selector) return null;
+    
+    try {
+      return document.querySelector(selector);
+    } catch (error) {
+      console.warn('无效的选择器:', selector);
+      return null;
+    }
+  }
+  
+  isEditable(input) {
+    return !!input && !input.disabled && !input.readOnly;
+  }
+  
+  // 分步登录的第一步页面上常有隐藏的密码框，需要区分是否可见
+  isVisible(element) {
+    if (!element || element.type === 'hidden') return false;
+    const style = window.getComputedStyle(element);
+    return style.visibility !== 'hidden' && style.display !== 'none' && element.getClientRects().length > 0;
+  }
+  
+  findLoginForm(env = {}) {
+    // 优先使用配置的输入框所在的表单
+    const configuredField = this.queryConfigured(env.passwordSelector) ||
+      this.queryConfigured(env.usernameSelector);
+    const configuredForm = configuredField?.closest('form');
+    if (configuredForm) {
+      return configuredForm;
+    }
+    
+    // 多种方式查找登录表单
+    for (const selector of this.formSelectors) {
+      const form = document.querySelector(selector);
+      if (form && form.querySelector('input[type="password"]')) {
+        return form;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 查找输入框：优先使用环境配置的选择器，找不到时在容器内自动识别
+   */
+  findInput(container, configuredSelector, fallbackSelectors, visibleOnly = false) {
+    const accept = (input) => this.isEditable(input) && (!visibleOnly || this.isVisible(input));
+    
+    const configured = this.queryConfigured(configuredSelector);
+    if (accept(configured)) {
+      return configured;
+    }
+    if (!container) return null;
+    
+    for (const selector of fallbackSelectors) {
+      const input = [...container.querySelectorAll(selector)].find(accept);
+      if (input) return input;
+    }
+    return null;
+  }
+  
+  fillInput(input, value) {
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  
+  findSubmitButton(form, env = {}) {
+    const loginButtonId = env.loginButtonId || 'ch_login_btn';
+    const loginButtonClass = env.loginButtonClass || 'formBtn';
+    
+    // 优先使用环境配置的提交按钮选择器
+    let submitButton = this.queryConfigured(env.submitSelector);
+    
+    // 1. 其次使用ID（在整个文档中查找）
+    if (!submitButton && loginButtonId) {
+      submitButton = document.getElementById(loginButtonId);
+    }
+    
+    // 2. 如果ID没找到，使用Class（在整个文档中查找）
+    if (!submitButton && loginButtonClass) {
+      // 处理多个类名（用空格分隔）
+      const classes = loginButtonClass.split(/\s+/).filter(c => c).map(c => `.${c}`).join('');
+      submitButton = document.querySelector(classes || `.${loginButtonClass}`);
+    }
+    
+    return submitButton || this.findFormButton(form);
+  }
+  
+  // 在表单内查找提交按钮
+  findFormButton(form) {
+    if (!form) return null;
+    
+    return form.querySelector('button[type="submit"], input[type="submit"]') ||
+      form.querySelector('button:not([type]), button[type="button"]');
+  }
+  
+  /**
+   * 识别页面上的登录按钮（用当前页面新建环境时生成提交按钮选择器）
+   * 优先使用登录表单中的提交按钮，没有表单或按钮不可见时按按钮文字查找
+   */
+  detectLoginButton() {
+    const formButton = this.findFormButton(this.findLoginForm());
+    if (formButton && this.isVisible(formButton)) {
+      return formButton;
+    }
+    
+    const buttons = document.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]');
+    return [...buttons].find(button => {
+      const text = (button.value || button.textContent || '').replace(/\s+/g, '').toLowerCase();
+      return this.isVisible(button) && this.loginButtonTexts.some(keyword => text.includes(keyword));
+    }) || null;
+  }
+  
+  submit(button, form) {
+    // 如果找到按钮，点击它
+    if (button) {
+      button.click();
+      return true;
+    }
+    
+    if (!form) return false;
+    
+    // 如果还是没找到，尝试提交表单
+    try {
+      form.submit();
+      return true;
+    } catch (error) {
+      console.error('提交表单失败:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * 等待元素出现：先立即查找一次，之后每次DOM变化时重新查找，超时返回 null
+   */
+  waitForElement(find, timeout) {
+    return new Promise((resolve) => {
+      const found = find();
+      if (found) {
+        resolve(found);
+        return;
+      }
+      
+      let timer = null;
+      const observer = new MutationObserver(() => {
+        const element = find();
+        if (element) {
+          observer.disconnect();
+          clearTimeout(timer);
+          resolve(element);
+        }
+      });
+      
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['style', 'class', 'hidden', 'disabled', 'type']
+      });
+      
+      timer = setTimeout(() => {
+        observer.disconnect();
+        resolve(null);
+      }, timeout);
+    });
+  }
+  
+  /**
+   * 填充账号密码并提交
+   * env 为账号所属环境，包含选择器和分步登录配置
+   * 返回 { success, error }
+   */
+  async login(account, env = {}) {
+    const username = account.account || account.username || '';
+    const password = account.password || '';
+    
+    // 提交前页面上已有的失败提示不是本次登录的结果
+    await this.snapshotLoginErrors(env);
+    
+    // 配置了登录脚本时按脚本执行，替代默认的填充+提交流程
+    if (Array.isArray(env.loginSteps) && env.loginSteps.length > 0) {
+      return this.runSteps(account, env.loginSteps);
+    }
+    
+    if (env.multiStep) {
+      return this.loginMultiStep(username, password, env);
+    }
+    
+    const form = this.findLoginForm(env);
+    const usernameInput = this.findInput(form, env.usernameSelector, this.usernameSelectors);
+    const passwordInput = this.findInput(form, env.passwordSelector, this.passwordSelectors);
+    
+    // 配置了输入框选择器的页面可以没有 form 元素
+    if (!form && !usernameInput && !passwordInput) {
+      return { success: false, error: '未找到登录表单，请确保当前页面包含登录表单' };
+    }
+    
+    if (usernameInput) {
+      this.fillInput(usernameInput, username);
+    }
+    if (passwordInput) {
+      this.fillInput(passwordInput, password);
+    }
+    
+    if (!this.submit(this.findSubmitButton(form, env), form)) {
+      return { success: false, error: '未找到登录按钮，请在环境中配置提交按钮选择器' };
+    }
+    return { success: true };
+  }
+  
+  /**
+   * 只填写账号密码，不提交（右键菜单的"填写"）
+   * target 为右键点击的元素：是输入框时直接填写它，并优先在它所在的表单中查找另一个输入框
+   * 返回 { success, error }
+   */
+  fill(account, env = {}, target = null) {
+    const username = account.account || account.username || '';
+    const password = account.password || '';
+    
+    // 分步登录的页面上常有隐藏的输入框，只填写可见的
+    const container = target?.closest?.('form') || this.findLoginForm(env) || document;
+    let usernameInput = this.findInput(container, env.usernameSelector, this.usernameSelectors, true);
+    let passwordInput = this.findInput(container, env.passwordSelector, this.passwordSelectors, true);
+    
+    if (target?.tagName === 'INPUT' && this.isEditable(target)) {
+      if (target.type === 'password') {
+        passwordInput = target;
+      } else if (target.type !== 'hidden') {
+        usernameInput = target;
+      }
+    }
+    
+    if (!usernameInput && !passwordInput) {
+      return { success: false, error: '未找到可以填写的输入框，请在登录表单的输入框上点击右键' };
+    }
+    
+    if (usernameInput) {
+      this.fillInput(usernameInput, username);
+    }
+    if (passwordInput) {
+      this.fillInput(passwordInput, password);
+    }
+    return { success: true };
+  }
+  
+  /**
+   * 分步登录：填写账号 → 点击下一步 → 等待密码输入框出现 → 填写密码并提交
+   * 只支持同一页面内切换的登录流程（页面跳转后内容脚本会重新加载）
+   */
+  async loginMultiStep(username, password, env) {
+    const findVisiblePassword = () => this.findInput(document, env.passwordSelector, this.passwordSelectors, true);
+    
+    // 密码框已经可见（账号和密码在同一页，或已进入第二步），账号输入框可见时一并填写
+    let passwordInput = findVisiblePassword();
+    
+    if (passwordInput) {
+      const usernameInput = this.findInput(document, env.usernameSelector, this.usernameSelectors, true);
+      if (usernameInput) {
+        this.fillInput(usernameInput, username);
+      }
+    } else {
+      const usernameInput = this.findInput(document, env.usernameSelector, this.usernameSelectors, true);
+      if (!usernameInput) {
+        return { success: false, error: '未找到账号输入框，请在环境中配置用户名输入框选择器' };
+      }
+      
+      this.fillInput(usernameInput, username);
+      
+      const usernameForm = usernameInput.closest('form');
+      const nextButton = this.queryConfigured(env.nextSelector) || this.findFormButton(usernameForm);
+      if (nextButton) {
+        nextButton.click();
+      } else if (usernameForm) {
+        usernameForm.requestSubmit();
+      } else {
+        return { success: false, error: '未找到"下一步"按钮，请在环境中配置下一步按钮选择器' };
+      }
+      
+      passwordInput = await this.waitForElement(findVisiblePassword, env.stepTimeout || this.defaultStepTimeout);
+      if (!passwordInput) {
+        return { success: false, error: '等待密码输入框超时，请检查账号是否正确或调整等待时间' };
+      }
+    }
+    
+    this.fillInput(passwordInput, password);
+    
+    const form = passwordInput.closest('form');
+    if (!this.submit(this.findSubmitButton(form, env), form)) {
+      return { success: false, error: '未找到登录按钮，请在环境中配置提交按钮选择器' };
+    }
+    return { success: true };
+  }
+  
+  /**
+   * 查找两步验证码输入框
+   * 返回单个输入框的数组，或按位拆分的一组输入框（每个只能输入一位），找不到时返回 null
+   */
+  findOtpInputs() {
+    // 登录表单还在（页面上有可见的密码框）时不是验证码页面
+    const passwordVisible = [...document.querySelectorAll('input[type="password"]')].some(input => this.isVisible(input));
+    if (passwordVisible) return null;
+    
+    // 排除图形验证码：名称像图形验证码，或旁边有验证码图片
+    const accept = (input) => this.isEditable(input) && this.isVisible(input) &&
+      !this.captchaPattern.test(`${input.name} ${input.id}`) &&
+      !input.parentElement?.querySelector('img, canvas');
+    
+    for (const selector of this.otpSelectors) {
+      const input = [...document.querySelectorAll(selector)].find(accept);
+      if (!input) continue;
+      
+      if (input.maxLength === 1) {
+        const group = [...(input.closest('form') || document).querySelectorAll('input[maxlength="1"]')].filter(accept);
+        if (group.length >= 6) return group;
+        continue;
+      }
+      return [input];
+    }
+    
+    // 没有可识别名称的按位输入框：同一表单中连续 6~8 个单字符输入框
+    const digitInputs = [...document.querySelectorAll('input[maxlength="1"]')].filter(accept);
+    if (digitInputs.length >= 6 && digitInputs.length <= 8) {
+      return digitInputs;
+    }
+    return null;
+  }
+  
+  fillOtp(inputs, code) {
+    if (inputs.length === 1) {
+      this.fillInput(inputs[0], code);
+    } else {
+      inputs.forEach((input, index) => this.fillInput(input, code[index] || ''));
+    }
+    
+    // 多数页面在输满验证码后自动提交，否则点击表单中的提交按钮
+    // 只点击确定是提交按钮的元素，type="button" 的按钮可能是"重新发送"或"返回"
+    const form = inputs[0].closest('form');
+    if (!form) return;
+    const button = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+    this.submit(button, form);
+  }
+  
+  /**
+   * 登录提交后填写两步验证码
+   * 后台记录了当前标签页在等待验证码时，等待验证码输入框出现后获取当前验证码并填写
+   * 只在顶层页面、页面地址匹配账号所属环境且登录表单已消失（页面跳转或密码框已隐藏）时填写，
+   * 避免把验证码填进登录页上的其他输入框或跳转后的第三方页面
+   */
+  async fillPendingTotp() {
+    if (window !== window.top) return;
+    
+    const pending = await chrome.runtime.sendMessage({ action: 'getPendingTotp' });
+    if (!pending?.success || !pending.data) return;
+    
+    const result = await chrome.storage.local.get('environments');
+    const env = (result.environments || []).find(e => e.id === pending.data.envId);
+    if (!env) return;
+    
+    const inputs = await this.waitForElement(
+      () => (window.urlMatcher.matches(env, window.location.href) ? this.findOtpInputs() : null),
+      this.otpTimeout
+    );
+    if (!inputs) return;
+    
+    // 输入框出现后再生成验证码，避免使用即将过期的验证码
+    const response = await chrome.runtime.sendMessage({ action: 'getTotpCode', accountId: pending.data.accountId });
+    if (!response?.success) {
+      console.warn('获取两步验证码失败:', response?.error);
+      return;
+    }
+    
+    await chrome.runtime.sendMessage({ action: 'clearPendingTotp' });
+    this.fillOtp(inputs, response.data.code);
+  }
+  
+  // 页面上可见且有文字的失败提示元素，优先使用环境配置的选择器
+  findErrorElements(env = {}) {
+    const selectors = env.errorSelector ? [env.errorSelector] : this.loginErrorSelectors;
+    const elements = [];
+    for (const selector of selectors) {
+      try {
+        elements.push(...document.querySelectorAll(selector));
+      } catch (error) {
+        console.warn('无效的选择器:', selector);
+      }
+    }
+    return [...new Set(elements)].filter(el => this.isVisible(el) && el.textContent.trim());
+  }
+  
+  // 环境配置的失败提示文字，多个关键字用 | 分隔
+  getConfiguredErrorTexts(env = {}) {
+    return (env.errorText || '').split('|').map(text => text.trim()).filter(Boolean);
+  }
+  
+  /**
+   * 登录提交前记录页面上已有的失败提示，检测结果时只认提交后新出现的提示
+   * 同一页面按元素和文字比较；页面跳转后按文字比较，文字保存在后台的登录跟踪记录中
+   */
+  async snapshotLoginErrors(env = {}) {
+    const elements = new Map(this.findErrorElements(env).map(el => [el, el.textContent.trim()]));
+    const pageText = document.body?.innerText || '';
+    const texts = [
+      ...new Set([...elements.values(), ...this.getConfiguredErrorTexts(env).filter(text => pageText.includes(text))])
+    ];
+    this.errorBaseline = { elements, texts };
+    
+    try {
+      await chrome.runtime.sendMessage({ action: 'setLoginErrorBaseline', texts });
+    } catch (error) {
+      console.debug('记录登录前的失败提示失败:', error);
+    }
+  }
+  
+  /**
+   * 查找提交后新出现的登录失败提示，返回提示文字，没有时返回 null
+   * baseline 为提交前的记录 { elements, texts }，elements 只在同一页面中有
+   * 配置了失败提示选择器时新出现的元素即为失败；常见的提示元素需要包含失败提示文字，
+   * 环境配置的提示文字可能不在提示元素中，在整个页面中查找
+   */
+  findLoginError(env = {}, baseline = {}) {
+    const baselineTexts = baseline.texts || [];
+    const isNew = (element, text) => (baseline.elements
+      ? baseline.elements.get(element) !== text
+      : !baselineTexts.includes(text));
+    
+    const configuredTexts = this.getConfiguredErrorTexts(env);
+    const keywords = [...configuredTexts, ...this.loginErrorTexts].map(text => text.toLowerCase());
+    for (const element of this.findErrorElements(env)) {
+      const text = element.textContent.trim();
+      if (!isNew(element, text)) continue;
+      if (env.errorSelector || keywords.some(keyword => text.toLowerCase().includes(keyword))) {
+        return text.slice(0, 100);
+      }
+    }
+    
+    const pageText = document.body?.innerText || '';
+    const matched = configuredTexts.find(text => pageText.includes(text) && !baselineTexts.includes(text));
+    return matched || null;
+  }
+  
+  /**
+   * 检测登录结果并报告给后台，记录到账号上
+   * 后台记录了当前标签页在等待登录结果时执行：出现失败提示记为失败；
+   * 离开环境的登录页面且一段时间内没有失败提示记为成功；超时仍停留在登录页面时不记录
+   */
+  async watchLoginResult() {
+    const check = await chrome.runtime.sendMessage({ action: 'getLoginCheck' });
+    if (!check?.success || !check.data) return;
+    
+    const result = await chrome.storage.local.get('environments');
+    const env = (result.environments || []).find(e => e.id === check.data.envId);
+    if (!env) return;
+    
+    const report = (status, message = '') => chrome.runtime.sendMessage({ action: 'reportLoginResult', status, message });
+    
+    // 在提交登录的页面上使用提交前的记录；跳转后的页面使用后台保存的提示文字
+    const baseline = this.errorBaseline || { texts: check.data.errorBaseline || [] };
+    
+    const startedAt = Date.now();
+    let leftLoginPageAt = null;
+    while (Date.now() - startedAt < this.loginResultTimeout) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const error = this.findLoginError(env, baseline);
+      if (error) {
+        await report('failure', error);
+        return;
+      }
+      
+      if (!window.urlMatcher.matches(env, window.location.href)) {
+        leftLoginPageAt = leftLoginPageAt || Date.now();
+        if (Date.now() - leftLoginPageAt >= this.loginSuccessDelay) {
+          await report('success');
+          return;
+        }
+      }
+    }
+    
+    if (leftLoginPageAt) {
+      await report('success');
+    } else {
+      await chrome.runtime.sendMessage({ action: 'cancelLoginTracking' });
+    }
+  }
+  
+  /**
+   * 登录结果的可读描述，用于账号列表中的状态标记
+   * 返回 { icon, text, className }，没有记录时返回 null
+   */
+  describeLoginResult(result) {
+    if (!result) return null;
+    
+    const time = new Date(result.at).toLocaleString();
+    if (result.status === 'success') {
+      return { icon: '✓', text: `上次登录成功（${time}）`, className: 'success' };
+    }
+    return {
+      icon: '✗',
+      text: `上次登录失败（${time}）${result.message ? `：${result.message}` : ''}，请检查密码是否已过期`,
+      className: 'failure'
+    };
+  }
+  
+  /**
+   * 生成步骤的可读描述，用于调试面板和步骤编辑器
+   */
+  describeStep(step) {
+    const label = this.stepTypes[step.type]?.label || step.type;
+    switch (step.type) {
+      case 'fill':
+        if (step.source === 'text') {
+          return `${label} ${step.selector} ← "${step.value || ''}"`;
+        }
+        if (step.source === 'field') {
+          return `${label} ${step.selector} ← 字段"${step.field || ''}"`;
+        }
+        return `${label} ${step.selector} ← ${this.valueSources[step.source] || ''}`;
+      case 'waitFor':
+        return `${label} ${step.selector}（最多 ${step.ms || this.defaultStepTimeout}ms）`;
+      case 'wait':
+        return `${label} ${step.ms || 0}ms`;
+      case 'select':
+        return `${label} ${step.selector} = ${step.value || ''}`;
+      default:
+        return `${label} ${step.selector || ''}`;
+    }
+  }
+  
+  // 按选择器查找步骤的目标元素，找不到时抛出错误
+  requireElement(selector) {
+    let element = null;
+    try {
+      element = document.querySelector(selector);
+    } catch (error) {
+      throw new Error(`选择器无效：${selector}`);
+    }
+    if (!element) {
+      throw new Error(`未找到元素：${selector}`);
+    }
+    return element;
+  }
+  
+  resolveStepValue(step, account) {
+    switch (step.source) {
+      case 'password':
+        return account.password || '';
+      case 'username':
+        return account.username || '';
+      case 'text':
+        return step.value || '';
+      case 'field': {
+        const field = (account.customFields || []).find(f => f.name === step.field);
+        if (!field) {
+          throw new Error(`账号没有自定义字段"${step.field || ''}"`);
+        }
+        return field.value || '';
+      }
+      default:
+        return account.account || account.username || '';
+    }
+  }
+  
+  /**
+   * 执行单个步骤，失败时抛出错误；返回步骤操作的元素（没有时返回 null）
+   */
+  async runStep(step, account) {
+    switch (step.type) {
+      case 'fill': {
+        const input = this.requireElement(step.selector);
+        if (!this.isEditable(input)) {
+          throw new Error('元素不可编辑');
+        }
+        this.fillInput(input, this.resolveStepValue(step, account));
+        return input;
+      }
+      case 'click': {
+        const element = this.requireElement(step.selector);
+        element.click();
+        return element;
+      }
+      case 'waitFor': {
+        const element = await this.waitForElement(() => {
+          const found = this.queryConfigured(step.selector);
+          return this.isVisible(found) || (found && found.type === 'hidden') ? found : null;
+        }, step.ms || this.defaultStepTimeout);
+        if (!element) {
+          throw new Error('等待超时');
+        }
+        return element;
+      }
+      case 'wait':
+        await new Promise(resolve => setTimeout(resolve, step.ms || 0));
+        return null;
+      case 'select': {
+        const select = this.requireElement(step.selector);
+        if (select.tagName !== 'SELECT') {
+          throw new Error('元素不是下拉框');
+        }
+        // 先按选项值匹配，再按显示文字匹配
+        const option = [...select.options].find(o => o.value === step.value) ||
+          [...select.options].find(o => o.textContent.trim() === (step.value || '').trim());
+        if (!option) {
+          throw new Error(`下拉框中没有选项：${step.value || ''}`);
+        }
+        select.value = option.value;
+        select.dispatchEvent(new Event('input', { bubbles: true }));
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        return select;
+      }
+      default:
+        throw new Error(`未知的步骤类型：${step.type}`);
+    }
+  }
+  
+  /**
+   * 按顺序执行登录脚本
+   * onStep(index, status, element, message) 在每一步开始、完成和失败时调用
+   * stepDelay 为每一步完成后的停顿（毫秒），调试时使用
+   * 返回 { success, error, failedStep }
+   */
+  async runSteps(account, steps, onStep = null, stepDelay = 0) {
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      onStep?.(i, 'running');
+      
+      try {
+        const element = await this.runStep(step, account);
+        onStep?.(i, 'done', element);
+        if (stepDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, stepDelay));
+        }
+      } catch (error) {
+        onStep?.(i, 'failed', null, error.message);
+        return {
+          success: false,
+          error: `登录脚本第${i + 1}步（${this.describeStep(step)}）失败：${error.message}`,
+          failedStep: i
+        };
+      }
+    }
+    return { success: true };
+  }
+  
+  /**
+   * 调试运行登录脚本：在页面上显示每一步的执行状态，并高亮操作的元素
+   */
+  async debugRun(account, steps) {
+    document.getElementById('account-manager-macro-debug')?.remove();
+    
+    const panel = document.createElement('div');
+    panel.id = 'account-manager-macro-debug';
+    Object.assign(panel.style, {
+      position: 'fixed',
+      right: '10px',
+      bottom: '10px',
+      width: '360px',
+      maxHeight: '50vh',
+      overflowY: 'auto',
+      padding: '10px 12px',
+      backgroundColor: 'white',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.25)',
+      zIndex: '1000003',
+      fontSize: '12px',
+      fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+      color: '#333'
+    });
+    
+    const header = document.createElement('div');
+    Object.assign(header.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '8px',
+      fontSize: '14px',
+      fontWeight: '600'
+    });
+    const title = document.createElement('span');
+    title.textContent = '登录脚本调试';
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '×';
+    Object.assign(closeBtn.style, {
+      border: 'none',
+      background: 'none',
+      fontSize: '18px',
+      cursor: 'pointer',
+      color: '#666'
+    });
+    closeBtn.addEventListener('click', () => panel.remove());
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+    
+    const icons = { pending: '○', running: '▶', done: '✓', failed: '✗' };
+    const colors = { pending: '#999', running: '#4285f4', done: '#1e8e3e', failed: '#c5221f' };
+    
+    const rows = steps.map((step, index) => {
+      const row = document.createElement('div');
+      Object.assign(row.style, { padding: '3px 0', wordBreak: 'break-all' });
+      panel.appendChild(row);
+      
+      const update = (status, message = '') => {
+        row.textContent = `${icons[status]} ${index + 1}. ${this.describeStep(step)}${message ? ` — ${message}` : ''}`;
+        row.style.color = colors[status];
+      };
+      update('pending');
+      return update;
+    });
+    
+    const summary = document.createElement('div');
+    Object.assign(summary.style, { marginTop: '8px', fontWeight: '600' });
+    panel.appendChild(summary);
+    document.body.appendChild(panel);
+    
+    let highlighted = null;
+    const result = await this.runSteps(account, steps, (index, status, element, message) => {
+      rows[index](status, message);
+      
+      if (highlighted) {
+        highlighted.style.outline = highlighted.dataset.amOutline || '';
+        delete highlighted.dataset.amOutline;
+        highlighted = null;
+      }
+      if (element) {
+        element.dataset.amOutline = element.style.outline;
+        element.style.outline = '2px solid #4285f4';
+        highlighted = element;
+      }
+    }, this.debugStepDelay);
+    
+    summary.textContent = result.success ? '全部步骤执行成功' : `第${result.failedStep + 1}步失败，已停止执行`;
+    summary.style.color = result.success ? '#1e8e3e' : '#c5221f';
+    return result;
+  }
+}
+
+// 导出单例
+const loginFiller = new LoginFiller();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.loginFiller = loginFiller;
+}
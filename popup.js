@@ -95,10 +95,228 @@ const showSuccessMessage = (message, duration = 2000) => {
   }, duration);
 };
 
-// 工具函数：验证域名格式
+// 工具函数：验证 IPv6 地址（不含方括号），交给 URL 解析器判断
+const isIPv6Address = (host) => {
+  try {
+    new URL(`http://[${host}]`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// 工具函数：验证域名格式，支持内网的单级主机名（如 jenkins:8080）、国际化域名、IPv4、IPv6 地址和端口号（如 [::1]:3000）
 const validateDomain = (domain) => {
-  const re = /^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/i;
-  return re.test(domain);
+  // 不带方括号的 IPv6 地址无法区分端口号，不允许带端口
+  if (!domain.startsWith('[') && (domain.match(/:/g) || []).length > 1) {
+    return isIPv6Address(domain);
+  }
+  
+  const match = /^(\[([^\]]+)\]|[^:]+)(?::(\d{1,5}))?$/.exec(domain);
+  if (!match) return false;
+  const [, host, bracketedIPv6, port] = match;
+  if (port && (Number(port) < 1 || Number(port) > 65535)) return false;
+  
+  if (bracketedIPv6) return isIPv6Address(bracketedIPv6);
+  
+  const ipv4Re = /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/;
+  if (/^[\d.]+$/.test(host)) return ipv4Re.test(host);
+  
+  // 与"使用当前页面"填入的 url.host 使用同一套解析规则，国际化域名按 Punycode 形式检查每一级
+  let hostname;
+  try {
+    hostname = new URL(`http://${host}`).hostname;
+  } catch (error) {
+    return false;
+  }
+  const labelRe = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i;
+  return hostname.split('.').every(label => labelRe.test(label));
+};
+
+// 工具函数：验证CSS选择器语法（空值视为有效）
+const validateSelector = (selector) => {
+  if (!selector) return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// 环境中可配置的表单元素选择器
+const ENV_SELECTOR_FIELDS = [
+  { key: 'usernameSelector', inputId: 'envUsernameSelector' },
+  { key: 'passwordSelector', inputId: 'envPasswordSelector' },
+  { key: 'submitSelector', inputId: 'envSubmitSelector' },
+  { key: 'nextSelector', inputId: 'envNextSelector' },
+  { key: 'errorSelector', inputId: 'envErrorSelector' }
+];
+
+// 登录记录的结果和来源显示文字
+const LOGIN_RESULT_LABELS = {
+  pending: '检测中',
+  success: '成功',
+  failure: '失败',
+  error: '填充失败',
+  unknown: '未知'
+};
+const LOGIN_SOURCE_LABELS = {
+  popup: '弹出窗口',
+  panel: '悬浮面板',
+  contextMenu: '右键菜单'
+};
+
+// 分步登录等待密码输入框的默认秒数
+const DEFAULT_STEP_TIMEOUT_SECONDS = 10;
+
+// 工具函数：整理登录脚本步骤，只保留该步骤类型用到的字段
+const normalizeLoginStep = (step) => {
+  const normalized = { type: step.type };
+  if (window.loginFiller.stepTypes[step.type]?.needsSelector) {
+    normalized.selector = (step.selector || '').trim();
+  }
+  if (step.type === 'fill') {
+    normalized.source = step.source || 'account';
+    if (normalized.source === 'text') {
+      normalized.value = step.value || '';
+    }
+    if (normalized.source === 'field') {
+      normalized.field = (step.field || '').trim();
+    }
+  }
+  if (step.type === 'select') {
+    normalized.value = (step.value || '').trim();
+  }
+  if (step.type === 'wait' || (step.type === 'waitFor' && step.ms)) {
+    normalized.ms = Number(step.ms);
+  }
+  return normalized;
+};
+
+// 工具函数：整理环境匹配规则，查询参数条件为空时不保存
+const normalizeMatchRule = (rule) => {
+  const normalized = { type: rule.type, pattern: (rule.pattern || '').trim() };
+  const query = (rule.query || '').trim().replace(/^\?/, '');
+  if (query) {
+    normalized.query = query;
+  }
+  return normalized;
+};
+
+// 工具函数：验证环境匹配规则，返回错误信息（通过时返回空字符串）
+const validateMatchRules = (rules) => {
+  for (let i = 0; i < rules.length; i++) {
+    const error = window.urlMatcher.validateRule(rules[i]);
+    if (error) {
+      return `第${i + 1}条规则：${error}`;
+    }
+  }
+  return '';
+};
+
+// 工具函数：验证登录脚本，返回错误信息（通过时返回空字符串）
+const validateLoginSteps = (steps) => {
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const prefix = `第${i + 1}步：`;
+    
+    if (step.selector !== undefined) {
+      if (!step.selector) {
+        return `${prefix}请填写CSS选择器`;
+      }
+      if (!validateSelector(step.selector)) {
+        return `${prefix}选择器格式不正确`;
+      }
+    }
+    if (step.source === 'field' && !step.field) {
+      return `${prefix}请填写自定义字段名称`;
+    }
+    if (step.type === 'select' && !step.value) {
+      return `${prefix}请填写要选择的选项`;
+    }
+    if (step.ms !== undefined && !(step.ms > 0 && step.ms <= 60000)) {
+      return `${prefix}等待时间应为1到60000毫秒`;
+    }
+  }
+  return '';
+};
+
+// 工具函数：登录脚本和匹配规则编辑器中的下拉框、输入框和按钮
+const createSelect = (options, value, onChange) => {
+  const select = document.createElement('select');
+  Object.entries(options).forEach(([optionValue, label]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    safeSetTextContent(option, label);
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.addEventListener('change', (e) => onChange(e.target.value));
+  return select;
+};
+
+const createInput = (value, placeholder, onInput, type = 'text') => {
+  const input = document.createElement('input');
+  input.type = type;
+  input.value = value ?? '';
+  input.placeholder = placeholder;
+  input.addEventListener('input', (e) => onInput(e.target.value));
+  return input;
+};
+
+const createButton = (text, title, onClick, disabled = false) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.title = title;
+  button.disabled = disabled;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+// 工具函数：验证主密码强度，返回错误信息（通过时返回空字符串）
+const validateMasterPassword = (password) => {
+  if (!password) {
+    return '主密码不能为空';
+  }
+  if (password.length < 8) {
+    return '主密码长度至少为8位';
+  }
+  return '';
+};
+
+// 备份文件格式标识
+const BACKUP_FORMAT = 'account-manager-backup';
+
+// 工具函数：将文本内容下载为文件
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// 工具函数：将数据下载为JSON文件
+const downloadJsonFile = (data, filename) => {
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+};
+
+// 工具函数：将环境名称转换为可用作文件名的形式
+const toFileName = (name) => {
+  return (name || 'environment').trim().replace(/[\\/:*?"<>|\s]+/g, '-') || 'environment';
+};
+
+// 工具函数：生成文件名中使用的时间戳（如 20260109-153000）
+const formatFileTimestamp = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
 };
 
 // 模态框管理
@@ -138,102 +356,1671 @@ class AccountManager {
     this.currentAccountId = null;
     this.currentEnvIdForEdit = null; // 用于编辑环境
     this.searchTerm = '';
+    this.currentEnvAccounts = []; // 当前环境的全部账号（手动排序时使用）
+    this.draggingAccountId = null;
     this.envModal = new ModalManager('envModal');
     this.accountModal = new ModalManager('accountModal');
+    this.unlockModal = new ModalManager('unlockModal');
+    this.settingsModal = new ModalManager('settingsModal');
+    this.importModal = new ModalManager('importModal');
+    this.pendingImport = null; // 待导入的备份：{ file, data, prepared, resolutions }，prepared 为预览所用的校验后数据
+    this.csvImportModal = new ModalManager('csvImportModal');
+    this.pendingCsvImport = null; // 待导入的CSV：{ format, rows, newEnvironments }
+    this.envExportModal = new ModalManager('envExportModal');
+    this.historyModal = new ModalManager('historyModal');
+    this.loginHistory = []; // 登录记录模态框中显示的记录
+    this.loginHistoryLimit = 0; // 后台保留的登录记录条数上限
+    this.historyAccounts = []; // 用于显示登录记录中账号的当前名称
+    this.exportEnvId = null; // 正在导出的环境
+    this.editingLoginSteps = []; // 环境模态框中正在编辑的登录脚本
+    this.editingMatchRules = []; // 环境模态框中正在编辑的匹配规则
+    this.editingCustomFields = []; // 账号模态框中正在编辑的自定义字段（明文）
+    this.totpItems = []; // 账号列表中显示的两步验证码：{ account, code, expiresAt, codeElement, countdownElement }
+    this.totpTimer = null;
+    this.pendingUnlockAction = null; // 解锁成功后继续执行的操作
     this.envListExpanded = true; // 默认展开
     this.init();
   }
   
-  init() {
-    this.setupEventListeners();
-    this.loadEnvironments();
-    // 初始化环境列表显示状态
-    const envListContainer = document.getElementById('envListContainer');
-    const envList = document.getElementById('envList');
-    const toggleBtn = document.getElementById('toggleEnvList');
+  init() {
+    this.setupEventListeners();
+    this.loadEnvironments();
+    this.initVaultState();
+    
+    // 在标签页中打开时可直接进入设置（弹出窗口无法使用文件选择框）
+    if (window.location.hash === '#settings') {
+      this.openSettingsModal();
+    }
+    
+    // 初始化环境列表显示状态
+    const envListContainer = document.getElementById('envListContainer');
+    const envList = document.getElementById('envList');
+    const toggleBtn = document.getElementById('toggleEnvList');
+    
+    if (envListContainer) {
+      envListContainer.style.display = 'block'; // 始终显示容器（包含 header）
+    }
+    if (envList) {
+      envList.style.display = this.envListExpanded ? 'flex' : 'none'; // 只控制列表内容
+    }
+    if (toggleBtn) {
+      toggleBtn.textContent = this.envListExpanded ? '收起' : '展开';
+    }
+  }
+  
+  setupEventListeners() {
+    // 环境选择
+    const envSelect = document.getElementById('envSelect');
+    envSelect?.addEventListener('change', (e) => {
+      this.switchEnvironment(e.target.value);
+    });
+    
+    // 添加环境按钮
+    const addEnvBtn = document.getElementById('addEnvBtn');
+    addEnvBtn?.addEventListener('click', () => {
+      this.openEnvModal();
+    });
+    
+    // 锁定保险库按钮
+    const lockVaultBtn = document.getElementById('lockVaultBtn');
+    lockVaultBtn?.addEventListener('click', () => {
+      this.handleLockVault();
+    });
+    
+    // 登录记录按钮
+    document.getElementById('historyBtn')?.addEventListener('click', () => {
+      this.openHistoryModal();
+    });
+    
+    // 设置按钮
+    const settingsBtn = document.getElementById('settingsBtn');
+    settingsBtn?.addEventListener('click', () => {
+      this.openSettingsModal();
+    });
+    
+    // 切换环境列表显示
+    const toggleEnvList = document.getElementById('toggleEnvList');
+    toggleEnvList?.addEventListener('click', () => {
+      this.toggleEnvList();
+    });
+    
+    // 添加账号按钮
+    const addAccountBtn = document.getElementById('addAccountBtn');
+    addAccountBtn?.addEventListener('click', () => {
+      this.openAccountModal();
+    });
+    
+    // 账号排序方式（按环境保存）
+    const accountSortSelect = document.getElementById('accountSortSelect');
+    if (accountSortSelect) {
+      Object.entries(window.accountSorter.sortModes).forEach(([value, label]) => {
+        accountSortSelect.appendChild(new Option(label, value));
+      });
+      accountSortSelect.addEventListener('change', async (e) => {
+        if (!this.currentEnvId) return;
+        await window.accountSorter.setSortMode(this.currentEnvId, e.target.value);
+        this.loadAccounts(this.currentEnvId);
+      });
+    }
+    
+    // 搜索框
+    const searchInput = document.getElementById('searchInput');
+    searchInput?.addEventListener('input', (e) => {
+      this.searchTerm = e.target.value.trim();
+      this.loadAccounts(this.currentEnvId);
+    });
+    
+    // 环境表单
+    const envForm = document.getElementById('envForm');
+    envForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleEnvSubmit();
+    });
+    
+    // 账号表单
+    const accountForm = document.getElementById('accountForm');
+    accountForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleAccountSubmit();
+    });
+    
+    // 解锁表单
+    const unlockForm = document.getElementById('unlockForm');
+    unlockForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleUnlockSubmit();
+    });
+    
+    // 主密码设置表单
+    document.getElementById('setupPasswordForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSetupPassword();
+    });
+    
+    document.getElementById('verifyPasswordForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleVerifyPassword();
+    });
+    
+    document.getElementById('changePasswordForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleChangePassword();
+    });
+    
+    // 数据备份
+    document.getElementById('backupEncrypt')?.addEventListener('change', (e) => {
+      const group = document.getElementById('backupPassphraseGroup');
+      if (group) {
+        group.style.display = e.target.checked ? 'block' : 'none';
+      }
+    });
+    
+    document.getElementById('exportBackupBtn')?.addEventListener('click', () => {
+      this.handleExportBackup();
+    });
+    
+    document.getElementById('importBackupBtn')?.addEventListener('click', () => {
+      this.handleImportBackupClick();
+    });
+    
+    document.getElementById('importBackupFile')?.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      this.handleImportFile(file);
+    });
+    
+    document.getElementById('importCsvBtn')?.addEventListener('click', () => {
+      this.openFileChooser('importCsvFile');
+    });
+    
+    document.getElementById('importCsvFile')?.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      this.handleCsvFile(file);
+    });
+    
+    document.getElementById('csvImportConfirmBtn')?.addEventListener('click', () => {
+      this.commitCsvImport();
+    });
+    
+    document.getElementById('accountAddFieldBtn')?.addEventListener('click', () => {
+      this.editingCustomFields.push({ name: '', value: '', secret: false });
+      this.renderCustomFields();
+    });
+    
+    document.getElementById('envAddRuleBtn')?.addEventListener('click', () => {
+      this.editingMatchRules.push({ type: 'glob', pattern: '' });
+      this.renderMatchRules();
+    });
+    
+    document.getElementById('envTestUrlBtn')?.addEventListener('click', () => {
+      this.handleTestUrl();
+    });
+    
+    document.getElementById('envTestUrl')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.handleTestUrl();
+      }
+    });
+    
+    document.getElementById('envAddStepBtn')?.addEventListener('click', () => {
+      this.editingLoginSteps.push({ type: 'fill', selector: '', source: 'account' });
+      this.renderLoginSteps();
+    });
+    
+    document.getElementById('envDebugStepsBtn')?.addEventListener('click', () => {
+      this.handleDebugLoginSteps();
+    });
+    
+    document.getElementById('envMultiStep')?.addEventListener('change', () => {
+      this.updateMultiStepFields();
+    });
+    
+    document.getElementById('envUseCurrentPageBtn')?.addEventListener('click', () => {
+      this.handleUseCurrentPage();
+    });
+    
+    document.getElementById('envPickElementsBtn')?.addEventListener('click', () => {
+      this.handlePickElements();
+    });
+    
+    document.getElementById('envExportForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleEnvExport();
+    });
+    
+    document.querySelectorAll('input[name="envExportFormat"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        this.updateEnvExportForm();
+      });
+    });
+    
+    document.getElementById('importPassphraseForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleImportPassphraseSubmit();
+    });
+    
+    document.getElementById('importConfirmBtn')?.addEventListener('click', () => {
+      this.handleImportConfirm();
+    });
+    
+    document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        this.renderSelectedImportPreview();
+      });
+    });
+    
+    // 取消按钮
+    document.getElementById('envCancelBtn')?.addEventListener('click', () => {
+      this.envModal.close();
+      this.resetEnvForm();
+    });
+    
+    document.getElementById('accountCancelBtn')?.addEventListener('click', () => {
+      this.accountModal.close();
+      this.resetAccountForm();
+    });
+    
+    document.getElementById('unlockCancelBtn')?.addEventListener('click', () => {
+      this.closeUnlockModal();
+    });
+    
+    document.getElementById('settingsCloseBtn')?.addEventListener('click', () => {
+      this.closeSettingsModal();
+    });
+    
+    document.getElementById('importCancelBtn')?.addEventListener('click', () => {
+      this.closeImportModal();
+    });
+    
+    document.getElementById('csvImportCancelBtn')?.addEventListener('click', () => {
+      this.closeCsvImportModal();
+    });
+    
+    document.getElementById('envExportCancelBtn')?.addEventListener('click', () => {
+      this.closeEnvExportModal();
+    });
+    
+    // 登录记录
+    document.getElementById('historyEnvFilter')?.addEventListener('change', () => {
+      this.renderHistory();
+    });
+    
+    document.getElementById('historyClearBtn')?.addEventListener('click', () => {
+      this.handleClearHistory();
+    });
+    
+    document.getElementById('historyCloseBtn')?.addEventListener('click', () => {
+      this.historyModal.close();
+    });
+    
+    // 点击模态框外部关闭
+    this.envModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.envModal.modal) {
+        this.envModal.close();
+        this.resetEnvForm();
+      }
+    });
+    
+    this.accountModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.accountModal.modal) {
+        this.accountModal.close();
+        this.resetAccountForm();
+      }
+    });
+    
+    this.unlockModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.unlockModal.modal) {
+        this.closeUnlockModal();
+      }
+    });
+    
+    this.settingsModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.settingsModal.modal) {
+        this.closeSettingsModal();
+      }
+    });
+    
+    this.importModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.importModal.modal) {
+        this.closeImportModal();
+      }
+    });
+    
+    this.csvImportModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.csvImportModal.modal) {
+        this.closeCsvImportModal();
+      }
+    });
+    
+    this.envExportModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.envExportModal.modal) {
+        this.closeEnvExportModal();
+      }
+    });
+    
+    this.historyModal.modal?.addEventListener('click', (e) => {
+      if (e.target === this.historyModal.modal) {
+        this.historyModal.close();
+      }
+    });
+    
+    // 保险库被锁定（手动或空闲超时）时同步界面状态
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'session' && changes[window.cryptoUtils?.sessionStorageKey]) {
+        this.updateLockButton();
+      }
+    });
+  }
+  
+  async initVaultState() {
+    if (!window.cryptoUtils) return;
+    
+    const status = await window.cryptoUtils.getVaultStatus();
+    this.updateLockButton(status);
+    
+    // 已设置主密码但未解锁时，打开弹窗即提示解锁
+    if (status.initialized && !status.unlocked) {
+      this.openUnlockModal();
+    }
+  }
+  
+  async updateLockButton(status = null) {
+    const lockVaultBtn = document.getElementById('lockVaultBtn');
+    if (!lockVaultBtn || !window.cryptoUtils) return;
+    
+    const vaultStatus = status || await window.cryptoUtils.getVaultStatus();
+    lockVaultBtn.style.display = vaultStatus.unlocked ? '' : 'none';
+  }
+  
+  // 确保保险库可用：未设置主密码或已解锁时返回 true，
+  // 否则打开解锁弹窗，解锁成功后执行 onUnlocked
+  async ensureUnlocked(onUnlocked = null) {
+    if (!window.cryptoUtils) return true;
+    
+    const status = await window.cryptoUtils.getVaultStatus();
+    if (!status.initialized || status.unlocked) {
+      return true;
+    }
+    
+    this.openUnlockModal(onUnlocked);
+    return false;
+  }
+  
+  openUnlockModal(onUnlocked = null) {
+    this.pendingUnlockAction = onUnlocked;
+    document.getElementById('unlockForm')?.reset();
+    hideError('unlockPasswordError');
+    this.unlockModal.open();
+    document.getElementById('unlockPassword')?.focus();
+  }
+  
+  closeUnlockModal() {
+    this.unlockModal.close();
+    document.getElementById('unlockForm')?.reset();
+    hideError('unlockPasswordError');
+    this.pendingUnlockAction = null;
+  }
+  
+  async handleUnlockSubmit() {
+    const password = document.getElementById('unlockPassword').value;
+    
+    hideError('unlockPasswordError');
+    
+    if (!password) {
+      showError('unlockPasswordError', '请输入主密码');
+      return;
+    }
+    
+    try {
+      await window.cryptoUtils.unlock(password);
+    } catch (error) {
+      showError('unlockPasswordError', error.message);
+      return;
+    }
+    
+    const pendingAction = this.pendingUnlockAction;
+    this.closeUnlockModal();
+    await this.updateLockButton();
+    showSuccessMessage('保险库已解锁');
+    
+    if (pendingAction) {
+      pendingAction();
+    }
+  }
+  
+  async openSettingsModal() {
+    this.resetSettingsForms();
+    await this.renderVaultSettings();
+    this.settingsModal.open();
+  }
+  
+  closeSettingsModal() {
+    this.settingsModal.close();
+    this.resetSettingsForms();
+  }
+  
+  resetSettingsForms() {
+    ['setupPasswordForm', 'verifyPasswordForm', 'changePasswordForm'].forEach(formId => {
+      document.getElementById(formId)?.reset();
+    });
+    [
+      'setupPasswordError',
+      'setupPasswordConfirmError',
+      'verifyPasswordError',
+      'changeOldPasswordError',
+      'changeNewPasswordError',
+      'changeNewPasswordConfirmError',
+      'backupPassphraseError',
+      'backupPassphraseConfirmError'
+    ].forEach(hideError);
+    
+    const backupEncrypt = document.getElementById('backupEncrypt');
+    if (backupEncrypt) backupEncrypt.checked = false;
+    document.getElementById('backupPassphrase').value = '';
+    document.getElementById('backupPassphraseConfirm').value = '';
+    document.getElementById('backupPassphraseGroup').style.display = 'none';
+  }
+  
+  // 根据是否已设置主密码切换设置视图中的表单
+  async renderVaultSettings() {
+    if (!window.cryptoUtils) return;
+    
+    const status = await window.cryptoUtils.getVaultStatus();
+    const statusText = document.getElementById('vaultStatusText');
+    
+    if (statusText) {
+      if (!status.initialized) {
+        statusText.textContent = '尚未设置主密码，账号密码以明文保存';
+        statusText.classList.remove('secure');
+      } else {
+        statusText.textContent = status.unlocked ? '主密码已设置，保险库已解锁' : '主密码已设置，保险库已锁定';
+        statusText.classList.add('secure');
+      }
+    }
+    
+    const setupSection = document.getElementById('setupPasswordSection');
+    const verifySection = document.getElementById('verifyPasswordSection');
+    const changeSection = document.getElementById('changePasswordSection');
+    
+    if (setupSection) setupSection.style.display = status.initialized ? 'none' : '';
+    if (verifySection) verifySection.style.display = status.initialized ? '' : 'none';
+    if (changeSection) changeSection.style.display = status.initialized ? '' : 'none';
+  }
+  
+  async handleSetupPassword() {
+    const password = document.getElementById('setupPassword').value;
+    const confirmPassword = document.getElementById('setupPasswordConfirm').value;
+    
+    hideError('setupPasswordError');
+    hideError('setupPasswordConfirmError');
+    
+    const passwordError = validateMasterPassword(password);
+    if (passwordError) {
+      showError('setupPasswordError', passwordError);
+      return;
+    }
+    
+    if (password !== confirmPassword) {
+      showError('setupPasswordConfirmError', '两次输入的主密码不一致');
+      return;
+    }
+    
+    try {
+      const count = await window.cryptoUtils.setupMasterPassword(password);
+      this.resetSettingsForms();
+      await this.renderVaultSettings();
+      await this.updateLockButton();
+      showSuccessMessage(`主密码设置成功，已加密 ${count} 个账号`);
+    } catch (error) {
+      console.error('设置主密码失败:', error);
+      showError('setupPasswordError', error.message);
+    }
+  }
+  
+  async handleVerifyPassword() {
+    const password = document.getElementById('verifyPassword').value;
+    
+    hideError('verifyPasswordError');
+    
+    if (!password) {
+      showError('verifyPasswordError', '请输入主密码');
+      return;
+    }
+    
+    const key = await window.cryptoUtils.verifyMasterPassword(password);
+    if (!key) {
+      showError('verifyPasswordError', '主密码不正确');
+      return;
+    }
+    
+    document.getElementById('verifyPasswordForm')?.reset();
+    showSuccessMessage('主密码正确');
+  }
+  
+  async handleChangePassword() {
+    const oldPassword = document.getElementById('changeOldPassword').value;
+    const newPassword = document.getElementById('changeNewPassword').value;
+    const confirmPassword = document.getElementById('changeNewPasswordConfirm').value;
+    
+    let isValid = true;
+    
+    hideError('changeOldPasswordError');
+    hideError('changeNewPasswordError');
+    hideError('changeNewPasswordConfirmError');
+    
+    if (!oldPassword) {
+      showError('changeOldPasswordError', '请输入当前主密码');
+      isValid = false;
+    }
+    
+    const passwordError = validateMasterPassword(newPassword);
+    if (passwordError) {
+      showError('changeNewPasswordError', passwordError);
+      isValid = false;
+    } else if (newPassword === oldPassword) {
+      showError('changeNewPasswordError', '新主密码不能与当前主密码相同');
+      isValid = false;
+    }
+    
+    if (newPassword !== confirmPassword) {
+      showError('changeNewPasswordConfirmError', '两次输入的新主密码不一致');
+      isValid = false;
+    }
+    
+    if (!isValid) return;
+    
+    try {
+      const count = await window.cryptoUtils.changeMasterPassword(oldPassword, newPassword);
+      this.resetSettingsForms();
+      await this.renderVaultSettings();
+      await this.updateLockButton();
+      showSuccessMessage(`主密码已修改，已重新加密 ${count} 个账号`);
+    } catch (error) {
+      console.error('修改主密码失败:', error);
+      showError('changeOldPasswordError', error.message);
+    }
+  }
+  
+  async handleExportBackup() {
+    const encrypt = document.getElementById('backupEncrypt')?.checked;
+    const passphrase = document.getElementById('backupPassphrase').value;
+    const confirmPassphrase = document.getElementById('backupPassphraseConfirm').value;
+    
+    hideError('backupPassphraseError');
+    hideError('backupPassphraseConfirmError');
+    
+    if (encrypt) {
+      if (!passphrase) {
+        showError('backupPassphraseError', '备份口令不能为空');
+        return;
+      }
+      if (passphrase.length < 8) {
+        showError('backupPassphraseError', '备份口令长度至少为8位');
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        showError('backupPassphraseConfirmError', '两次输入的备份口令不一致');
+        return;
+      }
+      
+      // 加密备份需要先解密所有账号密码
+      if (!(await this.ensureUnlocked(() => this.handleExportBackup()))) {
+        return;
+      }
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'backupData' });
+      if (!response?.success) {
+        throw new Error(response?.error || '获取备份数据失败');
+      }
+      
+      const backup = response.data;
+      let file;
+      
+      if (encrypt) {
+        // 密码解密为明文后整体用备份口令加密，备份不再依赖本机主密码
+        const accounts = [];
+        for (const account of backup.accounts) {
+          accounts.push(await window.cryptoUtils.decryptAccount(account));
+        }
+        
+        const payload = await window.cryptoUtils.encrypt(
+          JSON.stringify({ ...backup, accounts, vault: null }),
+          passphrase
+        );
+        
+        file = {
+          format: BACKUP_FORMAT,
+          encrypted: true,
+          version: backup.version,
+          timestamp: backup.timestamp,
+          payload
+        };
+      } else {
+        file = {
+          format: BACKUP_FORMAT,
+          encrypted: false,
+          ...backup
+        };
+      }
+      
+      downloadJsonFile(file, `account-manager-backup-${formatFileTimestamp(new Date())}.json`);
+      showSuccessMessage(`已导出 ${backup.environments.length} 个环境、${backup.accounts.length} 个账号`);
+    } catch (error) {
+      console.error('导出备份失败:', error);
+      alert('导出失败: ' + error.message);
+    }
+  }
+  
+  async openEnvExportModal(envId) {
+    this.exportEnvId = envId;
+    document.getElementById('envExportForm')?.reset();
+    hideError('envExportPassphraseError');
+    hideError('envExportPassphraseConfirmError');
+    
+    const result = await chrome.storage.local.get('environments');
+    const env = (result.environments || []).find(e => e.id === envId);
+    safeSetTextContent(document.getElementById('envExportTitle'), `导出环境：${env?.name || '未命名环境'}`);
+    
+    this.updateEnvExportForm();
+    this.envExportModal.open();
+  }
+  
+  closeEnvExportModal() {
+    this.envExportModal.close();
+    document.getElementById('envExportForm')?.reset();
+    this.exportEnvId = null;
+  }
+  
+  getEnvExportFormat() {
+    return document.querySelector('input[name="envExportFormat"]:checked')?.value || 'bundle';
+  }
+  
+  updateEnvExportForm() {
+    const isCsv = this.getEnvExportFormat() === 'csv';
+    document.getElementById('envExportBundleGroup').style.display = isCsv ? 'none' : 'block';
+    document.getElementById('envExportCsvWarning').style.display = isCsv ? 'block' : 'none';
+  }
+  
+  async handleEnvExport() {
+    const envId = this.exportEnvId;
+    if (!envId) return;
+    
+    const format = this.getEnvExportFormat();
+    const passphrase = document.getElementById('envExportPassphrase').value;
+    const confirmPassphrase = document.getElementById('envExportPassphraseConfirm').value;
+    
+    hideError('envExportPassphraseError');
+    hideError('envExportPassphraseConfirmError');
+    
+    if (format === 'bundle') {
+      if (!passphrase) {
+        showError('envExportPassphraseError', '共享口令不能为空');
+        return;
+      }
+      if (passphrase.length < 8) {
+        showError('envExportPassphraseError', '共享口令长度至少为8位');
+        return;
+      }
+      if (passphrase !== confirmPassphrase) {
+        showError('envExportPassphraseConfirmError', '两次输入的共享口令不一致');
+        return;
+      }
+    }
+    
+    // 两种格式都需要明文密码
+    if (!(await this.ensureUnlocked(() => this.handleEnvExport()))) {
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'backupData' });
+      if (!response?.success) {
+        throw new Error(response?.error || '获取环境数据失败');
+      }
+      
+      const backup = response.data;
+      const env = backup.environments.find(e => e.id === envId);
+      if (!env) {
+        throw new Error('环境不存在');
+      }
+      
+      const accounts = [];
+      for (const account of backup.accounts.filter(a => a.envId === envId)) {
+        accounts.push(await window.cryptoUtils.decryptAccount(account));
+      }
+      
+      const fileName = `account-manager-${toFileName(env.name)}-${formatFileTimestamp(new Date())}`;
+      
+      if (format === 'csv') {
+        // 使用 Chrome 密码导出的列格式，可直接通过"导入账号（CSV）"导入
+        const rows = [['name', 'url', 'username', 'password']];
+        accounts.forEach(account => {
+          rows.push([env.name || '', env.loginUrl || '', account.account || '', account.password || '']);
+        });
+        downloadFile(window.csvUtils.stringify(rows), `${fileName}.csv`, 'text/csv');
+      } else {
+        const payload = await window.cryptoUtils.encrypt(
+          JSON.stringify({ ...backup, environments: [env], accounts, vault: null }),
+          passphrase
+        );
+        
+        downloadJsonFile({
+          format: BACKUP_FORMAT,
+          encrypted: true,
+          scope: 'environment',
+          version: backup.version,
+          timestamp: backup.timestamp,
+          payload
+        }, `${fileName}.json`);
+      }
+      
+      this.closeEnvExportModal();
+      showSuccessMessage(`已导出 ${accounts.length} 个账号`);
+    } catch (error) {
+      console.error('导出环境失败:', error);
+      alert('导出失败: ' + error.message);
+    }
+  }
+  
+  handleImportBackupClick() {
+    this.openFileChooser('importBackupFile');
+  }
+  
+  openFileChooser(inputId) {
+    // 弹出窗口打开文件选择框时会失去焦点而关闭，改为在标签页中打开设置
+    if (chrome.extension.getViews({ type: 'popup' }).includes(window)) {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup.html#settings') });
+      window.close();
+      return;
+    }
+    
+    document.getElementById(inputId)?.click();
+  }
+  
+  async handleImportFile(file) {
+    if (!file) return;
+    
+    let parsed = null;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (error) {
+      alert('备份文件不是有效的JSON');
+      return;
+    }
+    
+    // 兼容没有格式标识的旧备份（直接保存的 backupData 结果）
+    const isBackupFile = parsed && (parsed.format === BACKUP_FORMAT || Array.isArray(parsed.environments));
+    if (!isBackupFile) {
+      alert('无法识别的备份文件');
+      return;
+    }
+    
+    this.pendingImport = { file: parsed, data: null, prepared: null, resolutions: {} };
+    this.openImportModal();
+    
+    if (parsed.encrypted) {
+      document.getElementById('importPassphraseForm').style.display = 'block';
+      document.getElementById('importPassphrase')?.focus();
+    } else {
+      await this.showImportPreview(parsed);
+    }
+  }
+  
+  openImportModal() {
+    document.getElementById('importPassphraseForm')?.reset();
+    document.getElementById('importPassphraseForm').style.display = 'none';
+    document.getElementById('importModeGroup').style.display = 'none';
+    const mergeRadio = document.querySelector('input[name="importMode"][value="merge"]');
+    if (mergeRadio) mergeRadio.checked = true;
+    document.getElementById('importPreview').innerHTML = '';
+    document.getElementById('importConfirmBtn').disabled = true;
+    hideError('importPassphraseError');
+    hideError('importError');
+    this.importModal.open();
+  }
+  
+  closeImportModal() {
+    this.importModal.close();
+    document.getElementById('importPassphraseForm')?.reset();
+    document.getElementById('importPreview').innerHTML = '';
+    this.pendingImport = null;
+  }
+  
+  async handleImportPassphraseSubmit() {
+    const passphrase = document.getElementById('importPassphrase').value;
+    
+    hideError('importPassphraseError');
+    
+    if (!passphrase || !this.pendingImport) {
+      showError('importPassphraseError', '请输入备份口令');
+      return;
+    }
+    
+    let data = null;
+    try {
+      const json = await window.cryptoUtils.decrypt(this.pendingImport.file.payload, passphrase);
+      data = JSON.parse(json);
+    } catch (error) {
+      showError('importPassphraseError', '口令不正确或备份文件已损坏');
+      return;
+    }
+    
+    document.getElementById('importPassphraseForm').style.display = 'none';
+    await this.showImportPreview(data);
+  }
+  
+  async showImportPreview(data) {
+    if (!data || !Array.isArray(data.environments) || !Array.isArray(data.accounts)) {
+      showError('importError', '无效的备份数据格式');
+      return;
+    }
+    
+    this.pendingImport.data = data;
+    this.pendingImport.resolutions = {};
+    
+    // 环境共享包只包含部分数据，只能合并导入，避免覆盖其他环境
+    if (this.pendingImport.file.scope !== 'environment') {
+      document.getElementById('importModeGroup').style.display = 'block';
+    }
+    
+    await this.renderSelectedImportPreview();
+  }
+  
+  getImportMode() {
+    if (this.pendingImport?.file?.scope === 'environment') {
+      return 'merge';
+    }
+    return document.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+  }
+  
+  // 按所选导入方式渲染预览
+  async renderSelectedImportPreview() {
+    const data = this.pendingImport?.data;
+    if (!data) return;
+    
+    const mode = this.getImportMode();
+    const confirmBtn = document.getElementById('importConfirmBtn');
+    const preview = document.getElementById('importPreview');
+    confirmBtn.disabled = true;
+    this.pendingImport.prepared = null;
+    hideError('importError');
+    
+    // 合并时需要解密本地密码与备份比较
+    if (mode === 'merge' && !(await this.ensureUnlocked(() => this.renderSelectedImportPreview()))) {
+      preview.innerHTML = '';
+      const hint = document.createElement('div');
+      hint.className = 'import-summary';
+      hint.textContent = '合并前需要先解锁保险库，以便比较账号密码';
+      preview.appendChild(hint);
+      return;
+    }
+    
+    try {
+      // 后台会先升级并校验备份数据，预览展示的是修复后的结果
+      const response = await chrome.runtime.sendMessage({ action: 'previewRestore', mode, data });
+      if (!response?.success) {
+        throw new Error(response?.error || '生成预览失败');
+      }
+      
+      // 确认时恢复的是预览所用的这份数据，ID 和修复结果与预览一致
+      const result = response.data;
+      this.pendingImport.prepared = result.data;
+      if (mode === 'merge') {
+        this.renderMergePreview(result.merge);
+      } else {
+        const summary = await this.summarizeBackup(result.data);
+        this.renderImportPreview(result.data, summary);
+      }
+      this.renderImportFixes(result);
+      confirmBtn.disabled = false;
+    } catch (error) {
+      console.error('生成预览失败:', error);
+      preview.innerHTML = '';
+      showError('importError', error.message);
+    }
+  }
+  
+  // 展示备份结构升级和校验修复的明细
+  renderImportFixes(result) {
+    const preview = document.getElementById('importPreview');
+    if (!preview) return;
+    
+    const container = document.createElement('div');
+    container.className = 'import-fixes';
+    
+    const versionEl = document.createElement('div');
+    versionEl.className = 'import-summary';
+    safeSetTextContent(versionEl, result.fromVersion < result.schemaVersion
+      ? `备份数据结构版本 ${result.fromVersion}，将升级到 ${result.schemaVersion}`
+      : `备份数据结构版本 ${result.fromVersion}`);
+    container.appendChild(versionEl);
+    
+    if (result.fixes.length > 0) {
+      const titleEl = document.createElement('div');
+      titleEl.className = 'import-summary';
+      safeSetTextContent(titleEl, `校验时发现并处理了 ${result.fixes.length} 处问题：`);
+      container.appendChild(titleEl);
+      
+      const fixList = document.createElement('div');
+      fixList.className = 'import-env-list';
+      result.fixes.forEach(fix => {
+        const fixEl = document.createElement('div');
+        fixEl.title = fix;
+        safeSetTextContent(fixEl, fix);
+        fixList.appendChild(fixEl);
+      });
+      container.appendChild(fixList);
+    }
+    
+    preview.appendChild(container);
+  }
+  
+  renderMergePreview(report) {
+    const preview = document.getElementById('importPreview');
+    if (!preview) return;
+    
+    preview.innerHTML = '';
+    
+    const summaryEl = document.createElement('div');
+    summaryEl.className = 'import-summary';
+    
+    const lines = [
+      `新增环境 ${report.environments.added.length} 个，匹配已有环境 ${report.environments.matched.length} 个`,
+      `新增账号 ${report.accounts.added.length} 个，自动更新 ${report.accounts.updated.length} 个，相同 ${report.accounts.unchanged} 个`,
+      `冲突 ${report.accounts.conflicts.length} 个`
+    ];
+    if (report.accounts.skipped > 0) {
+      lines.push(`跳过 ${report.accounts.skipped} 个找不到所属环境的账号`);
+    }
+    if (report.accounts.foreign.length > 0) {
+      lines.push(`跳过 ${report.accounts.foreign.length} 个由其他主密码加密、在本地无法解密的账号`);
+    }
+    lines.forEach(line => {
+      const lineEl = document.createElement('div');
+      safeSetTextContent(lineEl, line);
+      summaryEl.appendChild(lineEl);
+    });
+    preview.appendChild(summaryEl);
+    
+    // 新增与更新的明细
+    const changes = [
+      ...report.environments.added.map(env => `+ 环境：${env.name || '未命名环境'}`),
+      ...report.accounts.added.map(item => `+ ${item.envName} / ${item.username || '未命名'}（${item.account || ''}）`),
+      ...report.accounts.updated.map(item => `↻ ${item.envName} / ${item.username || '未命名'}（${item.account || ''}）`),
+      ...report.accounts.foreign.map(item => `✗ ${item.envName} / ${item.username || '未命名'}（${item.account || ''}）：无法解密，不导入`)
+    ];
+    if (changes.length > 0) {
+      const changeList = document.createElement('div');
+      changeList.className = 'import-env-list';
+      changes.forEach(change => {
+        const changeEl = document.createElement('div');
+        safeSetTextContent(changeEl, change);
+        changeList.appendChild(changeEl);
+      });
+      preview.appendChild(changeList);
+    }
+    
+    // 冲突逐条选择处理方式
+    const fieldLabels = { username: '用户名', account: '账号', password: '密码', totpSecret: '两步验证密钥', customFields: '自定义字段', tags: '标签', notes: '备注' };
+    const formatTime = (time) => time ? new Date(time).toLocaleString() : '未知';
+    
+    report.accounts.conflicts.forEach(conflict => {
+      const conflictEl = document.createElement('div');
+      conflictEl.className = 'import-conflict';
+      
+      const titleEl = document.createElement('div');
+      titleEl.className = 'conflict-title';
+      safeSetTextContent(titleEl, `${conflict.envName} / ${conflict.localUsername || '未命名'}（${conflict.account || ''}）`);
+      
+      const detailEl = document.createElement('div');
+      detailEl.className = 'conflict-detail';
+      const fields = conflict.differences.map(field => fieldLabels[field] || field).join('、');
+      safeSetTextContent(detailEl, `不同：${fields}；本地更新于 ${formatTime(conflict.localUpdatedAt)}，备份更新于 ${formatTime(conflict.backupUpdatedAt)}`);
+      
+      const select = document.createElement('select');
+      [
+        ['local', '保留本地'],
+        ['backup', '使用备份'],
+        ['both', '两者都保留']
+      ].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.value = this.pendingImport.resolutions[conflict.id] || 'local';
+      select.addEventListener('change', () => {
+        this.pendingImport.resolutions[conflict.id] = select.value;
+      });
+      
+      conflictEl.appendChild(titleEl);
+      conflictEl.appendChild(detailEl);
+      conflictEl.appendChild(select);
+      preview.appendChild(conflictEl);
+    });
+  }
+  
+  // 统计备份内容以及导入后各账号密码能否解密
+  async summarizeBackup(data) {
+    const localVault = await window.cryptoUtils.getVault();
+    const local = await chrome.storage.local.get(['environments', 'accounts']);
+    const effectiveVault = localVault || data.vault || null;
+    
+    const summary = {
+      localEnvCount: (local.environments || []).length,
+      localAccountCount: (local.accounts || []).length,
+      restoresVault: !localVault && !!data.vault,
+      willEncrypt: 0,
+      unreadable: 0
+    };
+    
+    // 密码、两步验证密钥和加密字段都要检查
+    data.accounts.forEach(account => {
+      if (window.cryptoUtils.hasForeignSecrets(account, effectiveVault)) {
+        summary.unreadable++;
+      } else if (localVault && window.cryptoUtils.hasPlaintextSecrets(account)) {
+        summary.willEncrypt++;
+      }
+    });
+    
+    return summary;
+  }
+  
+  renderImportPreview(data, summary) {
+    const preview = document.getElementById('importPreview');
+    if (!preview) return;
+    
+    preview.innerHTML = '';
+    
+    const summaryEl = document.createElement('div');
+    summaryEl.className = 'import-summary';
+    
+    const lines = [
+      `备份时间：${data.timestamp ? new Date(data.timestamp).toLocaleString() : '未知'}`,
+      `备份版本：${data.version || '未知'}`,
+      `包含 ${data.environments.length} 个环境、${data.accounts.length} 个账号`,
+      `将覆盖本地现有的 ${summary.localEnvCount} 个环境、${summary.localAccountCount} 个账号`
+    ];
+    lines.forEach(line => {
+      const lineEl = document.createElement('div');
+      safeSetTextContent(lineEl, line);
+      summaryEl.appendChild(lineEl);
+    });
+    preview.appendChild(summaryEl);
+    
+    // 各环境及账号数量
+    const envList = document.createElement('div');
+    envList.className = 'import-env-list';
+    data.environments.forEach(env => {
+      const count = data.accounts.filter(account => account.envId === env.id).length;
+      const envEl = document.createElement('div');
+      safeSetTextContent(envEl, `${env.name || '未命名环境'}（${count} 个账号）${env.loginUrl ? ' - ' + env.loginUrl : ''}`);
+      envList.appendChild(envEl);
+    });
+    if (data.environments.length === 0) {
+      const emptyEl = document.createElement('div');
+      emptyEl.textContent = '备份中没有环境';
+      envList.appendChild(emptyEl);
+    }
+    preview.appendChild(envList);
+    
+    const warnings = [];
+    if (summary.unreadable > 0) {
+      warnings.push(`${summary.unreadable} 个账号的密码或加密字段由其他主密码加密，在本地无法解密，将不会导入`);
+    }
+    if (summary.restoresVault) {
+      warnings.push('将同时恢复备份中的主密码设置，导入后请使用导出时的主密码解锁');
+    }
+    if (summary.willEncrypt > 0) {
+      warnings.push(`${summary.willEncrypt} 个账号的明文密码或加密字段将使用当前主密码加密后保存`);
+    }
+    
+    warnings.forEach(warning => {
+      const warningEl = document.createElement('div');
+      warningEl.className = 'import-warning';
+      safeSetTextContent(warningEl, warning);
+      preview.appendChild(warningEl);
+    });
+  }
+  
+  async handleImportConfirm() {
+    if (!this.pendingImport?.prepared) return;
+    
+    const confirmMsg = this.getImportMode() === 'merge'
+      ? '将按预览结果合并到本地数据，确定继续吗？'
+      : '恢复将覆盖本地所有环境和账号，确定继续吗？';
+    if (!confirm(confirmMsg)) {
+      return;
+    }
+    
+    if (this.getImportMode() === 'merge') {
+      await this.mergePendingImport();
+    } else {
+      await this.restorePendingImport();
+    }
+  }
+  
+  async mergePendingImport() {
+    const data = this.pendingImport?.prepared;
+    if (!data) return;
+    
+    hideError('importError');
+    
+    // 后台需要用保险库密钥比较和加密密码
+    if (!(await this.ensureUnlocked(() => this.mergePendingImport()))) {
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'restoreData',
+        mode: 'merge',
+        data,
+        resolutions: this.pendingImport.resolutions
+      });
+      
+      if (!response?.success) {
+        throw new Error(response?.error || '合并失败');
+      }
+      
+      const report = response.data;
+      await this.reloadAfterImport();
+      const foreign = report.accounts.foreign.length > 0 ? `，跳过 ${report.accounts.foreign.length} 个无法解密的账号` : '';
+      showSuccessMessage(`合并完成：新增 ${report.accounts.added.length} 个账号，更新 ${report.accounts.updated.length} 个${foreign}`);
+    } catch (error) {
+      console.error('合并备份失败:', error);
+      showError('importError', '合并失败: ' + error.message);
+    }
+  }
+  
+  // 导入完成后关闭弹窗并重新加载界面
+  async reloadAfterImport() {
+    this.closeImportModal();
+    this.closeSettingsModal();
+    
+    this.currentEnvId = null;
+    const envSelect = document.getElementById('envSelect');
+    if (envSelect) {
+      envSelect.value = '';
+    }
+    await this.loadEnvironments();
+    await this.loadAccounts(null);
+    await this.updateLockButton();
+  }
+  
+  async restorePendingImport() {
+    const data = this.pendingImport?.prepared;
+    if (!data) return;
+    
+    hideError('importError');
+    
+    try {
+      // 本地已设置主密码时，明文密码和加密字段先用保险库密钥加密
+      let accounts = data.accounts;
+      const localVault = await window.cryptoUtils.getVault();
+      const hasPlaintext = accounts.some(account => window.cryptoUtils.hasPlaintextSecrets(account));
+      
+      if (localVault && hasPlaintext) {
+        if (!(await this.ensureUnlocked(() => this.restorePendingImport()))) {
+          return;
+        }
+        
+        accounts = [];
+        for (const account of data.accounts) {
+          accounts.push(await window.cryptoUtils.encryptAccount(account));
+        }
+      }
+      
+      const response = await chrome.runtime.sendMessage({
+        action: 'restoreData',
+        data: { ...data, accounts }
+      });
+      
+      if (!response?.success) {
+        throw new Error(response?.error || '恢复失败');
+      }
+      
+      const restored = response.data;
+      await this.reloadAfterImport();
+      const skipped = restored.skipped > 0 ? `，跳过 ${restored.skipped} 个无法解密的账号` : '';
+      showSuccessMessage(`已恢复 ${restored.environments} 个环境、${restored.accounts} 个账号${skipped}`);
+    } catch (error) {
+      console.error('恢复备份失败:', error);
+      showError('importError', '恢复失败: ' + error.message);
+    }
+  }
+  
+  async handleCsvFile(file) {
+    if (!file) return;
     
-    if (envListContainer) {
-      envListContainer.style.display = 'block'; // 始终显示容器（包含 header）
+    let parsed = null;
+    try {
+      parsed = window.csvUtils.parseLoginRecords(await file.text());
+    } catch (error) {
+      alert('读取CSV失败: ' + error.message);
+      return;
     }
-    if (envList) {
-      envList.style.display = this.envListExpanded ? 'flex' : 'none'; // 只控制列表内容
+    
+    if (parsed.records.length === 0) {
+      alert('CSV文件中没有登录记录');
+      return;
     }
-    if (toggleBtn) {
-      toggleBtn.textContent = this.envListExpanded ? '收起' : '展开';
+    
+    try {
+      this.pendingCsvImport = {
+        format: parsed.format,
+        ...(await this.buildCsvImportPlan(parsed.records))
+      };
+    } catch (error) {
+      console.error('生成导入预览失败:', error);
+      alert('生成导入预览失败: ' + error.message);
+      return;
     }
+    
+    this.renderCsvImportPreview();
+    hideError('csvImportError');
+    this.csvImportModal.open();
   }
   
-  setupEventListeners() {
-    // 环境选择
-    const envSelect = document.getElementById('envSelect');
-    envSelect?.addEventListener('change', (e) => {
-      this.switchEnvironment(e.target.value);
-    });
+  /**
+   * 生成CSV导入计划（只预览，不写入）
+   * 按网址匹配已有环境，没有匹配时为每个登录地址新建环境
+   */
+  async buildCsvImportPlan(records) {
+    const result = await chrome.storage.local.get(['environments', 'accounts']);
+    const environments = result.environments || [];
+    const accounts = result.accounts || [];
     
-    // 添加环境按钮
-    const addEnvBtn = document.getElementById('addEnvBtn');
-    addEnvBtn?.addEventListener('click', () => {
-      this.openEnvModal();
-    });
+    const usedIds = new Set([...environments, ...accounts].map(item => item.id));
+    let nextId = Date.now();
+    const generateId = () => {
+      while (usedIds.has(String(nextId))) {
+        nextId++;
+      }
+      usedIds.add(String(nextId));
+      return String(nextId);
+    };
     
-    // 切换环境列表显示
-    const toggleEnvList = document.getElementById('toggleEnvList');
-    toggleEnvList?.addEventListener('click', () => {
-      this.toggleEnvList();
-    });
+    const existingKeys = new Set(accounts.map(account => `${account.envId}::${(account.account || '').toLowerCase()}`));
+    const importedKeys = new Set();
+    const newEnvironments = [];
     
-    // 添加账号按钮
-    const addAccountBtn = document.getElementById('addAccountBtn');
-    addAccountBtn?.addEventListener('click', () => {
-      this.openAccountModal();
+    const rows = records.map(record => {
+      const row = { record, env: null, isNewEnv: false, status: 'skip', reason: '' };
+      
+      if (!record.url) {
+        row.reason = '缺少网址';
+        return row;
+      }
+      if (!record.username) {
+        row.reason = '缺少用户名';
+        return row;
+      }
+      if (!record.password) {
+        row.reason = '缺少密码';
+        return row;
+      }
+      
+      let env = window.urlMatcher.findEnvironment(environments, record.url);
+      if (!env) {
+        env = window.urlMatcher.findEnvironment(newEnvironments, record.url);
+        row.isNewEnv = !!env;
+      }
+      
+      if (!env) {
+        const loginUrl = window.urlMatcher.normalize(record.url);
+        if (!loginUrl || !/^https?:/.test(loginUrl)) {
+          row.reason = '网址无效';
+          return row;
+        }
+        
+        const hostname = new URL(loginUrl).hostname;
+        env = {
+          id: generateId(),
+          name: record.title || hostname,
+          domain: hostname,
+          loginUrl,
+          loginButtonId: 'ch_login_btn',
+          loginButtonClass: 'formBtn',
+          createdAt: Date.now()
+        };
+        newEnvironments.push(env);
+        row.isNewEnv = true;
+      }
+      row.env = env;
+      
+      const key = `${env.id}::${record.username.toLowerCase()}`;
+      if (existingKeys.has(key)) {
+        row.reason = '账号已存在';
+        return row;
+      }
+      if (importedKeys.has(key)) {
+        row.reason = 'CSV中重复';
+        return row;
+      }
+      
+      importedKeys.add(key);
+      row.status = 'add';
+      
+      // 两步验证密钥无法识别时（例如 Steam 令牌）只导入账号密码
+      if (record.totp) {
+        try {
+          window.totpUtils.parse(record.totp);
+          row.totpSecret = record.totp;
+        } catch {
+          row.reason = '两步验证密钥无法识别，已忽略';
+        }
+      }
+      return row;
     });
     
-    // 搜索框
-    const searchInput = document.getElementById('searchInput');
-    searchInput?.addEventListener('input', (e) => {
-      this.searchTerm = e.target.value.toLowerCase();
-      this.loadAccounts(this.currentEnvId);
-    });
+    // 只保留至少有一个账号导入的新环境
+    const usedEnvIds = new Set(rows.filter(row => row.status === 'add').map(row => row.env.id));
     
-    // 环境表单
-    const envForm = document.getElementById('envForm');
-    envForm?.addEventListener('submit', (e) => {
-      e.preventDefault();
-      this.handleEnvSubmit();
+    return {
+      rows,
+      newEnvironments: newEnvironments.filter(env => usedEnvIds.has(env.id))
+    };
+  }
+  
+  renderCsvImportPreview() {
+    const preview = document.getElementById('csvImportPreview');
+    const confirmBtn = document.getElementById('csvImportConfirmBtn');
+    const plan = this.pendingCsvImport;
+    if (!preview || !plan) return;
+    
+    preview.innerHTML = '';
+    
+    const addCount = plan.rows.filter(row => row.status === 'add').length;
+    const summaryEl = document.createElement('div');
+    summaryEl.className = 'import-summary';
+    [
+      `识别为 ${plan.format.name} 导出的CSV，共 ${plan.rows.length} 条登录记录`,
+      `将新增 ${addCount} 个账号、新建 ${plan.newEnvironments.length} 个环境，跳过 ${plan.rows.length - addCount} 条`
+    ].forEach(line => {
+      const lineEl = document.createElement('div');
+      safeSetTextContent(lineEl, line);
+      summaryEl.appendChild(lineEl);
     });
-    
-    // 账号表单
-    const accountForm = document.getElementById('accountForm');
-    accountForm?.addEventListener('submit', (e) => {
-      e.preventDefault();
-      this.handleAccountSubmit();
+    preview.appendChild(summaryEl);
+    
+    const container = document.createElement('div');
+    container.className = 'csv-preview';
+    const table = document.createElement('table');
+    
+    const headRow = document.createElement('tr');
+    [['状态', '30%'], ['环境', '25%'], ['账号', '20%'], ['网址', '25%']].forEach(([text, width]) => {
+      const th = document.createElement('th');
+      th.style.width = width;
+      safeSetTextContent(th, text);
+      headRow.appendChild(th);
     });
-    
-    // 取消按钮
-    document.getElementById('envCancelBtn')?.addEventListener('click', () => {
-      this.envModal.close();
-      this.resetEnvForm();
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    plan.rows.forEach(row => {
+      const tr = document.createElement('tr');
+      const status = row.status === 'add'
+        ? `${row.isNewEnv ? '新增（新环境）' : '新增'}${row.reason ? `，${row.reason}` : ''}`
+        : `跳过：${row.reason}`;
+      const cells = [
+        status,
+        row.env ? row.env.name : '-',
+        row.record.username || '-',
+        row.record.url || '-'
+      ];
+      
+      cells.forEach((text, index) => {
+        const td = document.createElement('td');
+        if (index === 0) {
+          td.className = row.status === 'add' ? 'status-add' : 'status-skip';
+        }
+        td.title = text;
+        safeSetTextContent(td, text);
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
     });
+    table.appendChild(tbody);
+    container.appendChild(table);
+    preview.appendChild(container);
     
-    document.getElementById('accountCancelBtn')?.addEventListener('click', () => {
-      this.accountModal.close();
-      this.resetAccountForm();
-    });
+    if (confirmBtn) {
+      confirmBtn.disabled = addCount === 0;
+    }
+  }
+  
+  closeCsvImportModal() {
+    this.csvImportModal.close();
+    document.getElementById('csvImportPreview').innerHTML = '';
+    this.pendingCsvImport = null;
+  }
+  
+  async commitCsvImport() {
+    const plan = this.pendingCsvImport;
+    if (!plan) return;
     
-    // 点击模态框外部关闭
-    this.envModal.modal?.addEventListener('click', (e) => {
-      if (e.target === this.envModal.modal) {
-        this.envModal.close();
-        this.resetEnvForm();
-      }
-    });
+    hideError('csvImportError');
     
-    this.accountModal.modal?.addEventListener('click', (e) => {
-      if (e.target === this.accountModal.modal) {
-        this.accountModal.close();
-        this.resetAccountForm();
+    // 导入的密码需要用保险库密钥加密后保存
+    if (!(await this.ensureUnlocked(() => this.commitCsvImport()))) {
+      return;
+    }
+    
+    try {
+      const result = await chrome.storage.local.get(['environments', 'accounts']);
+      const environments = result.environments || [];
+      const accounts = result.accounts || [];
+      
+      const addRows = plan.rows.filter(row => row.status === 'add');
+      const usedIds = new Set([...environments, ...accounts, ...plan.newEnvironments].map(item => item.id));
+      let nextId = Date.now();
+      
+      const newAccounts = [];
+      for (const row of addRows) {
+        while (usedIds.has(String(nextId))) {
+          nextId++;
+        }
+        usedIds.add(String(nextId));
+        
+        const newAccount = {
+          id: String(nextId),
+          envId: row.env.id,
+          username: row.record.username,
+          account: row.record.username,
+          password: await window.cryptoUtils.encryptPassword(row.record.password),
+          createdAt: Date.now()
+        };
+        if (row.totpSecret) {
+          newAccount.totpSecret = await window.cryptoUtils.encryptPassword(row.totpSecret);
+        }
+        if (row.record.notes) {
+          newAccount.notes = row.record.notes;
+        }
+        newAccounts.push(newAccount);
+      }
+      
+      // 环境和账号一次写入，避免中途失败只导入一部分
+      await chrome.storage.local.set({
+        environments: [...environments, ...plan.newEnvironments],
+        accounts: [...accounts, ...newAccounts]
+      });
+      
+      this.closeCsvImportModal();
+      await this.reloadAfterImport();
+      showSuccessMessage(`已导入 ${newAccounts.length} 个账号，新建 ${plan.newEnvironments.length} 个环境`);
+    } catch (error) {
+      console.error('导入CSV失败:', error);
+      showError('csvImportError', '导入失败: ' + error.message);
+    }
+  }
+  
+  async openHistoryModal() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getLoginHistory' });
+      if (!response?.success) {
+        throw new Error(response?.error || '获取登录记录失败');
+      }
+      this.loginHistory = response.data.entries;
+      this.loginHistoryLimit = response.data.limit;
+      
+      // 环境筛选：现有环境加上记录中已删除的环境
+      const result = await chrome.storage.local.get(['environments', 'accounts']);
+      this.historyAccounts = result.accounts || [];
+      const envNames = new Map((result.environments || []).map(env => [env.id, env.name || '未命名环境']));
+      this.loginHistory.forEach(entry => {
+        if (!envNames.has(entry.envId)) {
+          envNames.set(entry.envId, `${entry.envName || '未命名环境'}（已删除）`);
+        }
+      });
+      
+      const filter = document.getElementById('historyEnvFilter');
+      filter.innerHTML = '';
+      filter.appendChild(new Option('全部环境', ''));
+      envNames.forEach((name, envId) => filter.appendChild(new Option(name, envId)));
+      filter.value = envNames.has(this.currentEnvId) ? this.currentEnvId : '';
+      
+      this.renderHistory();
+      this.historyModal.open();
+    } catch (error) {
+      console.error('加载登录记录失败:', error);
+      alert('加载登录记录失败: ' + error.message);
+    }
+  }
+  
+  renderHistory() {
+    const envId = document.getElementById('historyEnvFilter').value;
+    const entries = this.loginHistory.filter(entry => !envId || entry.envId === envId);
+    const accounts = new Map((this.historyAccounts || []).map(account => [account.id, account]));
+    const formatTime = (time) => new Date(time).toLocaleString();
+    
+    const accountName = (entry) => {
+      const account = accounts.get(entry.accountId);
+      return account
+        ? `${account.username || '未命名'}（${account.account || ''}）`
+        : `${entry.username || '未命名'}（已删除）`;
+    };
+    
+    const summary = document.getElementById('historySummary');
+    const successCount = entries.filter(entry => entry.result === 'success').length;
+    const failureCount = entries.filter(entry => ['failure', 'error'].includes(entry.result)).length;
+    safeSetTextContent(summary, entries.length > 0
+      ? `共 ${entries.length} 次登录，成功 ${successCount} 次，失败 ${failureCount} 次（最多保留最近${this.loginHistoryLimit}条记录）`
+      : '暂无登录记录');
+    
+    // cells 为 { text, className, title } 数组
+    const renderTable = (containerId, columns, rows) => {
+      const container = document.getElementById(containerId);
+      container.innerHTML = '';
+      
+      const table = document.createElement('table');
+      const headRow = document.createElement('tr');
+      columns.forEach(([text, width]) => {
+        const th = document.createElement('th');
+        th.style.width = width;
+        safeSetTextContent(th, text);
+        headRow.appendChild(th);
+      });
+      const thead = document.createElement('thead');
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+      
+      const tbody = document.createElement('tbody');
+      rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach(cell => {
+          const td = document.createElement('td');
+          td.className = cell.className || '';
+          td.title = cell.title || cell.text;
+          safeSetTextContent(td, cell.text);
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+      if (rows.length === 0) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = columns.length;
+        td.className = 'empty-row';
+        td.textContent = '暂无记录';
+        tr.appendChild(td);
+        tbody.appendChild(tr);
       }
+      table.appendChild(tbody);
+      container.appendChild(table);
+    };
+    
+    // 按账号统计，最近使用的在前
+    const stats = new Map();
+    entries.forEach(entry => {
+      const stat = stats.get(entry.accountId) || { entry, count: 0, success: 0, failure: 0, lastAt: 0 };
+      stat.count++;
+      const result = entry.result;
+      if (result === 'success') stat.success++;
+      if (result === 'failure' || result === 'error') stat.failure++;
+      if (entry.at >= stat.lastAt) {
+        stat.lastAt = entry.at;
+        stat.entry = entry;
+      }
+      stats.set(entry.accountId, stat);
     });
+    
+    renderTable('historyStats', [['账号', '34%'], ['环境', '22%'], ['次数', '12%'], ['成功/失败', '14%'], ['最近使用', '18%']],
+      [...stats.values()]
+        .sort((a, b) => b.lastAt - a.lastAt)
+        .map(stat => [
+          { text: accountName(stat.entry) },
+          { text: stat.entry.envName || '-' },
+          { text: String(stat.count) },
+          { text: `${stat.success}/${stat.failure}` },
+          { text: formatTime(stat.lastAt) }
+        ]));
+    
+    // 最近的登录记录（最多显示100条）
+    renderTable('historyEntries', [['时间', '28%'], ['账号', '34%'], ['来源', '18%'], ['结果', '20%']],
+      entries.slice(-100).reverse().map(entry => {
+        const result = entry.result;
+        return [
+          { text: formatTime(entry.at) },
+          { text: accountName(entry), title: `${accountName(entry)}\n${entry.url || ''}` },
+          { text: LOGIN_SOURCE_LABELS[entry.source] || entry.source || '-' },
+          {
+            text: LOGIN_RESULT_LABELS[result] || result,
+            className: `result-${result}`,
+            title: entry.message || LOGIN_RESULT_LABELS[result] || result
+          }
+        ];
+      }));
+  }
+  
+  async handleClearHistory() {
+    if (!confirm('确定要清空所有登录记录吗？账号上的登录状态标记不受影响。')) {
+      return;
+    }
+    
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearLoginHistory' });
+      this.loginHistory = [];
+      this.renderHistory();
+      showSuccessMessage('登录记录已清空');
+    } catch (error) {
+      console.error('清空登录记录失败:', error);
+      alert('清空失败: ' + error.message);
+    }
+  }
+  
+  async handleLockVault() {
+    if (!window.cryptoUtils) return;
+    
+    await window.cryptoUtils.lock();
+    await this.updateLockButton();
+    showSuccessMessage('保险库已锁定');
   }
   
   async loadEnvironments() {
@@ -318,6 +2105,14 @@ class AccountManager {
       this.openEnvModal(env.id);
     });
     
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn-env-export';
+    exportBtn.textContent = '导出';
+    exportBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.openEnvExportModal(env.id);
+    });
+    
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'btn-env-delete';
     deleteBtn.textContent = '删除';
@@ -338,6 +2133,7 @@ class AccountManager {
     });
     
     envActions.appendChild(editBtn);
+    envActions.appendChild(exportBtn);
     envActions.appendChild(deleteBtn);
     
     item.appendChild(envInfo);
@@ -390,6 +2186,14 @@ class AccountManager {
     const accountList = document.getElementById('accountList');
     if (!accountList) return;
     
+    await this.renderTagFilters();
+    
+    // 有搜索关键词时在所有环境中搜索
+    if (this.searchTerm) {
+      await this.loadSearchResults();
+      return;
+    }
+    
     if (!envId) {
       accountList.innerHTML = `
         <div class="empty-state">
@@ -403,29 +2207,33 @@ class AccountManager {
     try {
       const result = await chrome.storage.local.get('accounts');
       const accounts = result.accounts || [];
-      let envAccounts = accounts.filter(account => account.envId === envId);
+      this.currentEnvAccounts = accounts.filter(account => account.envId === envId);
       
-      // 搜索过滤
-      if (this.searchTerm) {
-        envAccounts = envAccounts.filter(account => 
-          (account.username || '').toLowerCase().includes(this.searchTerm) ||
-          (account.account || '').toLowerCase().includes(this.searchTerm)
-        );
+      // 置顶账号在前，其余按环境的排序方式排列
+      const sorted = await window.accountSorter.sort(envId, this.currentEnvAccounts);
+      const envAccounts = sorted.accounts;
+      const sortSelect = document.getElementById('accountSortSelect');
+      if (sortSelect) {
+        sortSelect.value = sorted.prefs.sortMode;
       }
       
       if (envAccounts.length === 0) {
         accountList.innerHTML = `
           <div class="empty-state">
             <div class="empty-state-icon">🔍</div>
-            <div>${this.searchTerm ? '未找到匹配的账号' : '该环境暂无账号'}</div>
+            <div>该环境暂无账号</div>
           </div>
         `;
         return;
       }
       
       accountList.innerHTML = '';
+      this.totpItems = [];
       envAccounts.forEach(account => {
-        const accountItem = this.createAccountItem(account);
+        const accountItem = this.createAccountItem(account, {
+          pinned: sorted.pinnedIds.has(account.id),
+          draggable: sorted.prefs.sortMode === 'manual'
+        });
         accountList.appendChild(accountItem);
       });
     } catch (error) {
@@ -439,16 +2247,115 @@ class AccountManager {
     }
   }
   
-  createAccountItem(account) {
+  // 标签筛选栏：列出所有环境中用到的标签，已筛选的标签高亮
+  async renderTagFilters() {
+    const bar = document.getElementById('tagFilterBar');
+    if (!bar) return;
+    
+    const result = await chrome.storage.local.get('accounts');
+    const tags = window.accountSearch.collectTags(result.accounts || []);
+    bar.innerHTML = '';
+    bar.style.display = tags.length > 0 ? 'flex' : 'none';
+    
+    tags.forEach(({ tag, count }) => {
+      bar.appendChild(this.createTagChip(tag, `${count} 个账号`));
+    });
+  }
+  
+  createTagChip(tag, title = '') {
+    const active = window.accountSearch.hasTagFilter(this.searchTerm, tag);
+    const chip = document.createElement('span');
+    chip.className = active ? 'tag-chip active' : 'tag-chip';
+    chip.title = [title, active ? '点击取消筛选' : '点击在所有环境中筛选'].filter(Boolean).join('，');
+    safeSetTextContent(chip, tag);
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleTagFilter(tag);
+    });
+    return chip;
+  }
+  
+  // 在搜索框中添加或移除 tag: 筛选
+  toggleTagFilter(tag) {
+    const searchInput = document.getElementById('searchInput');
+    const query = window.accountSearch.toggleTagFilter(searchInput ? searchInput.value : this.searchTerm, tag);
+    if (searchInput) {
+      searchInput.value = query;
+    }
+    this.searchTerm = query.trim();
+    this.loadAccounts(this.currentEnvId);
+  }
+  
+  // 全局搜索：按匹配程度列出所有环境中的账号，并标明所属环境
+  async loadSearchResults() {
+    const accountList = document.getElementById('accountList');
+    
+    try {
+      const result = await chrome.storage.local.get(['accounts', 'environments']);
+      const matches = window.accountSearch.search(this.searchTerm, result.accounts || [], result.environments || []);
+      
+      if (matches.length === 0) {
+        accountList.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-state-icon">🔍</div>
+            <div>未找到匹配的账号</div>
+          </div>
+        `;
+        return;
+      }
+      
+      // 置顶状态按环境保存
+      const pinnedIds = new Set();
+      for (const envId of new Set(matches.map(match => match.account.envId))) {
+        (await window.accountSorter.getPrefs(envId)).pinned.forEach(id => pinnedIds.add(id));
+      }
+      
+      accountList.innerHTML = '';
+      this.totpItems = [];
+      matches.forEach(({ account, env }) => {
+        const accountItem = this.createAccountItem(account, {
+          pinned: pinnedIds.has(account.id),
+          envName: env ? (env.name || '未命名环境') : '环境已删除'
+        });
+        accountList.appendChild(accountItem);
+      });
+    } catch (error) {
+      console.error('搜索账号失败:', error);
+      accountList.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">⚠️</div>
+          <div>搜索失败，请重试</div>
+        </div>
+      `;
+    }
+  }
+  
+  createAccountItem(account, { pinned = false, draggable = false, envName = '' } = {}) {
     const item = document.createElement('div');
-    item.className = 'account-item';
+    item.className = pinned ? 'account-item pinned' : 'account-item';
+    if (draggable) {
+      this.setupAccountDrag(item, account.id);
+    }
     
     const accountInfo = document.createElement('div');
     accountInfo.className = 'account-info';
+    if (account.notes) {
+      accountInfo.title = account.notes;
+    }
     
     const username = document.createElement('div');
     username.className = 'username';
-    safeSetTextContent(username, account.username || '未命名');
+    
+    // 上次登录结果
+    const loginResult = window.loginFiller.describeLoginResult(account.lastLoginResult);
+    if (loginResult) {
+      const status = document.createElement('span');
+      status.className = `login-status ${loginResult.className}`;
+      status.title = loginResult.text;
+      status.textContent = loginResult.icon;
+      username.appendChild(status);
+    }
+    username.appendChild(document.createTextNode(account.username || '未命名'));
     
     const accountText = document.createElement('div');
     accountText.className = 'account-text';
@@ -456,10 +2363,35 @@ class AccountManager {
     
     accountInfo.appendChild(username);
     accountInfo.appendChild(accountText);
+    if (envName) {
+      const envLabel = document.createElement('div');
+      envLabel.className = 'account-env';
+      safeSetTextContent(envLabel, envName);
+      accountInfo.appendChild(envLabel);
+    }
+    const tags = window.accountSearch.parseTags(account.tags);
+    if (tags.length > 0) {
+      const tagList = document.createElement('div');
+      tagList.className = 'account-tags';
+      tags.forEach(tag => tagList.appendChild(this.createTagChip(tag)));
+      accountInfo.appendChild(tagList);
+    }
+    if (account.totpSecret) {
+      accountInfo.appendChild(this.createTotpCode(account));
+    }
     
     const accountActions = document.createElement('div');
     accountActions.className = 'account-actions';
     
+    const pinBtn = document.createElement('button');
+    pinBtn.className = pinned ? 'btn-pin active' : 'btn-pin';
+    pinBtn.textContent = pinned ? '★' : '☆';
+    pinBtn.title = pinned ? '取消置顶' : '置顶';
+    pinBtn.addEventListener('click', async () => {
+      await window.accountSorter.togglePin(account.envId, account.id);
+      this.loadAccounts(this.currentEnvId);
+    });
+    
     const loginBtn = document.createElement('button');
     loginBtn.className = 'btn-login';
     loginBtn.textContent = '登录';
@@ -481,6 +2413,7 @@ class AccountManager {
       this.handleDeleteAccount(account.id);
     });
     
+    accountActions.appendChild(pinBtn);
     accountActions.appendChild(loginBtn);
     accountActions.appendChild(editBtn);
     accountActions.appendChild(deleteBtn);
@@ -491,7 +2424,128 @@ class AccountManager {
     return item;
   }
   
+  // 手动排序：拖动账号放到另一个账号的上半部分或下半部分，移动到该账号之前或之后
+  setupAccountDrag(item, accountId) {
+    const isLowerHalf = (e) => {
+      const rect = item.getBoundingClientRect();
+      return e.clientY > rect.top + rect.height / 2;
+    };
+    
+    item.draggable = true;
+    
+    item.addEventListener('dragstart', (e) => {
+      this.draggingAccountId = accountId;
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    item.addEventListener('dragend', () => {
+      this.draggingAccountId = null;
+      item.classList.remove('dragging');
+    });
+    
+    item.addEventListener('dragover', (e) => {
+      if (!this.draggingAccountId || this.draggingAccountId === accountId) return;
+      e.preventDefault();
+      const after = isLowerHalf(e);
+      item.classList.toggle('drag-over', !after);
+      item.classList.toggle('drag-over-after', after);
+    });
+    
+    item.addEventListener('dragleave', () => {
+      item.classList.remove('drag-over', 'drag-over-after');
+    });
+    
+    item.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      item.classList.remove('drag-over', 'drag-over-after');
+      const draggedId = this.draggingAccountId;
+      if (!draggedId || draggedId === accountId) return;
+      
+      await window.accountSorter.moveAccount(
+        this.currentEnvId, this.currentEnvAccounts, draggedId, accountId, isLowerHalf(e)
+      );
+      this.loadAccounts(this.currentEnvId);
+    });
+  }
+  
+  // 两步验证码及倒计时，点击复制
+  createTotpCode(account) {
+    const totp = document.createElement('div');
+    totp.className = 'account-totp';
+    totp.title = '两步验证码，点击复制';
+    
+    const codeElement = document.createElement('span');
+    codeElement.textContent = '······';
+    const countdownElement = document.createElement('span');
+    countdownElement.className = 'totp-countdown';
+    
+    totp.appendChild(codeElement);
+    totp.appendChild(countdownElement);
+    
+    const totpItem = { account, code: null, expiresAt: 0, codeElement, countdownElement };
+    totp.addEventListener('click', async () => {
+      if (!totpItem.code) return;
+      try {
+        await navigator.clipboard.writeText(totpItem.code);
+        showSuccessMessage('验证码已复制');
+      } catch (error) {
+        console.error('复制验证码失败:', error);
+      }
+    });
+    
+    this.totpItems.push(totpItem);
+    if (!this.totpTimer) {
+      this.totpTimer = setInterval(() => this.updateTotpCodes(), 1000);
+    }
+    this.updateTotpCodes();
+    return totp;
+  }
+  
+  // 每秒更新倒计时，验证码过期后重新生成（保险库锁定时显示锁定状态）
+  async updateTotpCodes() {
+    if (this.totpItems.length === 0) {
+      clearInterval(this.totpTimer);
+      this.totpTimer = null;
+      return;
+    }
+    
+    const now = Date.now();
+    for (const totpItem of this.totpItems) {
+      if (now < totpItem.expiresAt) {
+        if (totpItem.code && totpItem.expiresAt !== Infinity) {
+          const remaining = Math.ceil((totpItem.expiresAt - now) / 1000);
+          totpItem.countdownElement.textContent = `${remaining}s`;
+          totpItem.countdownElement.classList.toggle('expiring', remaining <= 5);
+        }
+        continue;
+      }
+      
+      // 生成期间不重复处理
+      totpItem.expiresAt = Infinity;
+      try {
+        const secret = await window.cryptoUtils.decryptPassword(totpItem.account.totpSecret);
+        const { code, remaining } = await window.totpUtils.generate(secret);
+        totpItem.code = code;
+        totpItem.expiresAt = Date.now() + remaining * 1000;
+        totpItem.codeElement.textContent = code;
+        totpItem.countdownElement.textContent = `${remaining}s`;
+        totpItem.countdownElement.classList.toggle('expiring', remaining <= 5);
+      } catch (error) {
+        // 保险库锁定等情况稍后重试
+        totpItem.code = null;
+        totpItem.expiresAt = Date.now() + 5000;
+        totpItem.codeElement.textContent = '🔒 解锁后显示验证码';
+        totpItem.countdownElement.textContent = '';
+      }
+    }
+  }
+  
   async handleLogin(accountId) {
+    if (!(await this.ensureUnlocked(() => this.handleLogin(accountId)))) {
+      return;
+    }
+    
     try {
       const result = await chrome.storage.local.get('accounts');
       const accounts = result.accounts || [];
@@ -502,30 +2556,10 @@ class AccountManager {
         return;
       }
       
-      // 解密密码（如果已加密）
-      let decryptedPassword = account.password;
-      if (window.cryptoUtils && account.password) {
-        try {
-          decryptedPassword = await window.cryptoUtils.decryptPassword(account.password);
-        } catch (error) {
-          console.warn('密码解密失败，使用原密码:', error);
-          // 如果解密失败，使用原密码（可能是未加密的）
-          decryptedPassword = account.password;
-        }
-      }
-      
-      // 创建账号副本，使用解密后的密码
-      const accountWithDecryptedPassword = {
-        ...account,
-        password: decryptedPassword
-      };
-      
-      // 获取当前环境的登录按钮配置
+      // 获取账号所属环境的表单选择器、登录按钮和分步登录配置
       const envResult = await chrome.storage.local.get('environments');
       const environments = envResult.environments || [];
-      const currentEnv = environments.find(e => e.id === account.envId);
-      const loginButtonId = currentEnv?.loginButtonId || 'ch_login_btn';
-      const loginButtonClass = currentEnv?.loginButtonClass || 'formBtn';
+      const currentEnv = environments.find(e => e.id === account.envId) || {};
       
       // 获取当前活动标签页
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -534,11 +2568,68 @@ class AccountManager {
         return;
       }
       
-      // 注入登录脚本
+      // 只在账号所属环境的页面上填写（全局搜索可以选中其他环境的账号），否则提示打开该环境的登录页面
+      if (!window.urlMatcher.matches(currentEnv, tab.url)) {
+        if (currentEnv.loginUrl && confirm(`当前页面不是环境"${currentEnv.name || '未命名环境'}"的登录页面，是否打开该环境的登录页面？打开后请再次点击登录`)) {
+          await chrome.tabs.update(tab.id, { url: currentEnv.loginUrl });
+          window.close();
+        } else if (!currentEnv.loginUrl) {
+          alert('当前页面不是该账号所属环境的登录页面，无法使用该账号');
+        }
+        return;
+      }
+      
+      // 解密密码和加密的自定义字段，失败时不能把密文填入页面
+      let accountWithDecryptedPassword = account;
+      if (window.cryptoUtils) {
+        try {
+          accountWithDecryptedPassword = await window.cryptoUtils.decryptLoginCredential(account);
+        } catch (error) {
+          console.error('密码解密失败:', error);
+          alert('密码解密失败: ' + error.message);
+          return;
+        }
+      }
+      
+      await this.injectLoginFiller(tab.id);
+      
+      // 提交后页面可能立即跳转，需要在登录前记录标签页，以便检测登录结果和填写验证码
+      await chrome.runtime.sendMessage({
+        action: 'beginLoginTracking',
+        tabId: tab.id,
+        accountId,
+        source: 'popup',
+        url: tab.url
+      });
+      
+      // 分步登录需要等待页面变化，不等待结果，失败时在页面上提示
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        func: this.fillLoginForm,
-        args: [accountWithDecryptedPassword, loginButtonId, loginButtonClass]
+        func: (account, env) => {
+          // 扩展重新加载等情况下消息通道会关闭，只在页面控制台记录，不产生未处理的异常
+          window.loginFiller.login(account, env).then(result => {
+            if (!result.success) {
+              chrome.runtime.sendMessage({ action: 'cancelLoginTracking', error: result.error }).catch(error => {
+                console.debug('结束登录跟踪失败:', error);
+              });
+              alert(result.error);
+            } else {
+              // 不跳转页面、在当前页面显示结果或验证码输入框的情况
+              window.loginFiller.watchLoginResult().catch(error => {
+                console.debug('检测登录结果失败:', error);
+              });
+              if (account.hasTotp) {
+                window.loginFiller.fillPendingTotp().catch(error => {
+                  console.debug('填写两步验证码失败:', error);
+                });
+              }
+            }
+          }).catch(error => {
+            console.error('登录失败:', error);
+            alert('登录失败: ' + error.message);
+          });
+        },
+        args: [accountWithDecryptedPassword, currentEnv]
       });
       
       // 关闭popup
@@ -549,94 +2640,21 @@ class AccountManager {
     }
   }
   
-  // 这个函数会在页面上下文中执行
-  // 注意：由于在页面上下文中执行，无法直接访问cryptoUtils
-  // 需要先解密密码，然后传递给这个函数
-  fillLoginForm(account, loginButtonId, loginButtonClass) {
-    // 查找登录表单
-    const selectors = [
-      'form[action*="login"]',
-      'form[action*="signin"]',
-      'form[action*="auth"]',
-      'form'
-    ];
-    
-    let form = null;
-    for (const selector of selectors) {
-      const found = document.querySelector(selector);
-      if (found && found.querySelector('input[type="password"]')) {
-        form = found;
-        break;
-      }
-    }
-    
-    if (!form) {
-      alert('未找到登录表单');
-      return;
-    }
-    
-    // 填充用户名/账号
-    const usernameSelectors = [
-      'input[name="username"]',
-      'input[name="email"]', // 很多网站使用 email 作为登录字段
-      'input[name="user"]',
-      'input[type="email"]', // 很多网站使用 email 类型
-      'input[type="text"]'
-    ];
-    
-      for (const selector of usernameSelectors) {
-        const input = form.querySelector(selector);
-        if (input && !input.disabled && !input.readOnly) {
-          input.value = account.account || account.username || '';
-          input.dispatchEvent(new Event('input', { bubbles: true }));
-          input.dispatchEvent(new Event('change', { bubbles: true }));
-          break;
-        }
-      }
-    
-    // 填充密码（account.password 应该已经是解密后的）
-    const passwordInput = form.querySelector('input[type="password"]');
-    if (passwordInput && !passwordInput.disabled && !passwordInput.readOnly) {
-      passwordInput.value = account.password || '';
-      passwordInput.dispatchEvent(new Event('input', { bubbles: true }));
-      passwordInput.dispatchEvent(new Event('change', { bubbles: true }));
-    }
-    
-    // 使用配置的按钮选择器提交登录表单
-    const defaultId = loginButtonId || 'ch_login_btn';
-    const defaultClass = loginButtonClass || 'formBtn';
-    
-    // 优先使用配置的选择器
-    let submitButton = null;
-    
-    // 1. 优先使用ID（在整个文档中查找）
-    if (defaultId) {
-      submitButton = document.getElementById(defaultId);
-    }
-    
-    // 2. 如果ID没找到，使用Class（在整个文档中查找）
-    if (!submitButton && defaultClass) {
-      // 处理多个类名（用空格分隔）
-      const classes = defaultClass.split(/\s+/).filter(c => c).map(c => `.${c}`).join('');
-      submitButton = document.querySelector(classes || `.${defaultClass}`);
-    }
-    
-    // 3. 如果都没找到，在表单内查找提交按钮
-    if (!submitButton) {
-      submitButton = form.querySelector('button[type="submit"], input[type="submit"]');
-    }
-    
-    // 4. 如果还是没找到，尝试查找其他可能的提交按钮
-    if (!submitButton) {
-      submitButton = form.querySelector('button:not([type]), button[type="button"]');
-    }
-    
-    // 5. 如果找到按钮，点击它
-    if (submitButton) {
-      submitButton.click();
-    } else {
-      // 6. 如果还是没找到，尝试提交表单
-      form.submit();
+  // 与悬浮面板共用 login-filler.js 的填充逻辑，扩展安装前已打开的页面需要先注入
+  // 检测登录结果时需要 url-matcher.js 判断是否离开了登录页面
+  async injectLoginFiller(tabId) {
+    const [{ result: loaded } = {}] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => ({ urlMatcher: !!window.urlMatcher, loginFiller: !!window.loginFiller })
+    });
+    const files = [];
+    if (!loaded?.urlMatcher) files.push('url-matcher.js');
+    if (!loaded?.loginFiller) files.push('login-filler.js');
+    if (files.length > 0) {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files
+      });
     }
   }
   
@@ -648,6 +2666,9 @@ class AccountManager {
     
     this.currentEnvIdForEdit = envId;
     
+    // 拾取结果直接写入环境记录，只能用于已保存的环境
+    document.getElementById('envPickerGroup').style.display = envId ? 'block' : 'none';
+    
     if (envId) {
       // 编辑模式：加载环境数据
       chrome.storage.local.get('environments', (result) => {
@@ -659,6 +2680,17 @@ class AccountManager {
           document.getElementById('envLoginUrl').value = env.loginUrl || '';
           document.getElementById('envLoginButtonId').value = env.loginButtonId || 'ch_login_btn';
           document.getElementById('envLoginButtonClass').value = env.loginButtonClass || 'formBtn';
+          ENV_SELECTOR_FIELDS.forEach(({ key, inputId }) => {
+            document.getElementById(inputId).value = env[key] || '';
+          });
+          document.getElementById('envErrorText').value = env.errorText || '';
+          this.editingLoginSteps = (env.loginSteps || []).map(step => ({ ...step }));
+          this.renderLoginSteps();
+          this.editingMatchRules = (env.matchRules || []).map(rule => ({ ...rule }));
+          this.renderMatchRules();
+          document.getElementById('envMultiStep').checked = !!env.multiStep;
+          document.getElementById('envStepTimeout').value = env.stepTimeout ? env.stepTimeout / 1000 : '';
+          this.updateMultiStepFields();
         }
       });
     } else {
@@ -666,9 +2698,414 @@ class AccountManager {
       this.resetEnvForm();
     }
     
+    this.fillTestUrl();
     this.envModal.open();
   }
   
+  // 测试URL默认使用当前标签页的地址
+  async fillTestUrl() {
+    const input = document.getElementById('envTestUrl');
+    if (!input) return;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      input.value = /^https?:/.test(tab?.url || '') ? tab.url : '';
+    } catch (error) {
+      console.debug('读取当前标签页失败:', error);
+    }
+  }
+  
+  renderMatchRules() {
+    const container = document.getElementById('envMatchRules');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const { ruleTypes } = window.urlMatcher;
+    const rules = this.editingMatchRules;
+    const placeholders = {
+      exact: 'https://example.com/#/login',
+      glob: 'https://*.example.com/login/*',
+      regex: '^https://(dev|test)\\.example\\.com/(.*/)?login$'
+    };
+    
+    rules.forEach((rule, index) => {
+      const item = document.createElement('div');
+      item.className = 'login-step';
+      
+      const headRow = document.createElement('div');
+      headRow.className = 'login-step-row';
+      
+      const indexEl = document.createElement('span');
+      indexEl.className = 'step-index';
+      safeSetTextContent(indexEl, `${index + 1}.`);
+      
+      headRow.appendChild(indexEl);
+      headRow.appendChild(createSelect(ruleTypes, rule.type, (type) => {
+        rule.type = type;
+        this.renderMatchRules();
+      }));
+      headRow.appendChild(createButton('✕', '删除', () => {
+        rules.splice(index, 1);
+        this.renderMatchRules();
+      }));
+      item.appendChild(headRow);
+      
+      const patternRow = document.createElement('div');
+      patternRow.className = 'login-step-row';
+      patternRow.appendChild(createInput(rule.pattern, placeholders[rule.type] || '', (value) => {
+        rule.pattern = value;
+      }));
+      item.appendChild(patternRow);
+      
+      const queryRow = document.createElement('div');
+      queryRow.className = 'login-step-row';
+      queryRow.appendChild(createInput(rule.query, '查询参数条件（可选），如 action=login&tenant', (value) => {
+        rule.query = value;
+      }));
+      item.appendChild(queryRow);
+      
+      container.appendChild(item);
+    });
+  }
+  
+  /**
+   * 用表单中的登录页面URL和匹配规则测试URL，逐条显示是否匹配
+   * 其他环境排在前面且也匹配该URL时，页面实际会使用那个环境，一并提示
+   */
+  async handleTestUrl() {
+    const container = document.getElementById('envTestUrlResult');
+    if (!container) return;
+    container.innerHTML = '';
+    
+    const addLine = (text, className) => {
+      const line = document.createElement('div');
+      line.className = className;
+      safeSetTextContent(line, text);
+      container.appendChild(line);
+    };
+    
+    const urlString = document.getElementById('envTestUrl').value.trim();
+    if (!urlString) {
+      addLine('请输入要测试的URL', 'unmatched');
+      return;
+    }
+    try {
+      new URL(urlString);
+    } catch (error) {
+      addLine('URL格式不正确，请输入完整的URL（如：https://example.com/#/login）', 'unmatched');
+      return;
+    }
+    
+    const env = {
+      loginUrl: document.getElementById('envLoginUrl').value.trim(),
+      matchRules: this.editingMatchRules.map(normalizeMatchRule)
+    };
+    const { ruleTypes } = window.urlMatcher;
+    const results = window.urlMatcher.testRules(env, urlString);
+    const describe = ({ rule }, index) => rule.type === 'loginUrl'
+      ? '登录页面URL'
+      : `规则${env.loginUrl ? index : index + 1}（${ruleTypes[rule.type] || rule.type}）`;
+    
+    const hitIndex = results.findIndex(result => result.matched);
+    if (hitIndex === -1) {
+      addLine('✗ 没有匹配的规则，悬浮面板不会在该页面显示', 'unmatched summary');
+    } else {
+      addLine(`✓ 命中：${describe(results[hitIndex], hitIndex)}`, 'matched summary');
+    }
+    
+    results.forEach((result, index) => {
+      const query = result.rule.query ? `，参数 ${result.rule.query}` : '';
+      const detail = result.error ? `（规则无效：${result.error}）` : '';
+      addLine(
+        `${result.matched ? '✓' : '✗'} ${describe(result, index)}：${result.rule.pattern || '（空）'}${query}${detail}`,
+        result.matched ? 'matched' : 'unmatched'
+      );
+    });
+    
+    // 正则表达式不匹配查询参数，列出实际比较的内容便于编写规则
+    if (env.matchRules.some(rule => rule.type === 'regex')) {
+      addLine(`正则表达式比较的内容：${window.urlMatcher.getMatchTarget(new URL(urlString))}`, 'unmatched');
+    }
+    
+    if (hitIndex !== -1) {
+      const result = await chrome.storage.local.get('environments');
+      const environments = result.environments || [];
+      const position = this.currentEnvIdForEdit
+        ? environments.findIndex(e => e.id === this.currentEnvIdForEdit)
+        : environments.length;
+      const earlier = environments.slice(0, position === -1 ? environments.length : position)
+        .find(e => window.urlMatcher.matches(e, urlString));
+      if (earlier) {
+        addLine(`注意：该URL也匹配排在前面的环境"${earlier.name || '未命名环境'}"，页面上会使用那个环境`, 'unmatched');
+      }
+    }
+  }
+  
+  renderLoginSteps() {
+    const container = document.getElementById('envLoginSteps');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const { stepTypes, valueSources } = window.loginFiller;
+    const steps = this.editingLoginSteps;
+    
+    const moveStep = (from, to) => {
+      const [step] = steps.splice(from, 1);
+      steps.splice(to, 0, step);
+      this.renderLoginSteps();
+    };
+    
+    steps.forEach((step, index) => {
+      const item = document.createElement('div');
+      item.className = 'login-step';
+      
+      const headRow = document.createElement('div');
+      headRow.className = 'login-step-row';
+      
+      const indexEl = document.createElement('span');
+      indexEl.className = 'step-index';
+      safeSetTextContent(indexEl, `${index + 1}.`);
+      
+      const typeOptions = {};
+      Object.entries(stepTypes).forEach(([type, definition]) => {
+        typeOptions[type] = definition.label;
+      });
+      
+      headRow.appendChild(indexEl);
+      headRow.appendChild(createSelect(typeOptions, step.type, (type) => {
+        step.type = type;
+        this.renderLoginSteps();
+      }));
+      headRow.appendChild(createButton('↑', '上移', () => moveStep(index, index - 1), index === 0));
+      headRow.appendChild(createButton('↓', '下移', () => moveStep(index, index + 1), index === steps.length - 1));
+      headRow.appendChild(createButton('✕', '删除', () => {
+        steps.splice(index, 1);
+        this.renderLoginSteps();
+      }));
+      item.appendChild(headRow);
+      
+      if (stepTypes[step.type]?.needsSelector) {
+        const selectorRow = document.createElement('div');
+        selectorRow.className = 'login-step-row';
+        selectorRow.appendChild(createInput(step.selector, 'CSS选择器，如 #tenant', (value) => {
+          step.selector = value;
+        }));
+        item.appendChild(selectorRow);
+      }
+      
+      const valueRow = document.createElement('div');
+      valueRow.className = 'login-step-row';
+      
+      if (step.type === 'fill') {
+        valueRow.appendChild(createSelect(valueSources, step.source || 'account', (source) => {
+          step.source = source;
+          this.renderLoginSteps();
+        }));
+        if (step.source === 'text') {
+          valueRow.appendChild(createInput(step.value, '填写的内容', (value) => {
+            step.value = value;
+          }));
+        } else if (step.source === 'field') {
+          valueRow.appendChild(createInput(step.field, '字段名称，如 租户编码', (value) => {
+            step.field = value;
+          }));
+        }
+      } else if (step.type === 'select') {
+        valueRow.appendChild(createInput(step.value, '选项值或显示文字', (value) => {
+          step.value = value;
+        }));
+      } else if (step.type === 'wait') {
+        valueRow.appendChild(createInput(step.ms, '等待毫秒数，如 500', (value) => {
+          step.ms = value;
+        }, 'number'));
+      } else if (step.type === 'waitFor') {
+        valueRow.appendChild(createInput(step.ms, '最长等待毫秒数（默认10000）', (value) => {
+          step.ms = value;
+        }, 'number'));
+      }
+      
+      if (valueRow.children.length > 0) {
+        item.appendChild(valueRow);
+      }
+      container.appendChild(item);
+    });
+  }
+  
+  async handleDebugLoginSteps() {
+    hideError('envLoginStepsError');
+    
+    const steps = this.editingLoginSteps.map(normalizeLoginStep);
+    if (steps.length === 0) {
+      showError('envLoginStepsError', '请先添加步骤');
+      return;
+    }
+    const error = validateLoginSteps(steps);
+    if (error) {
+      showError('envLoginStepsError', error);
+      return;
+    }
+    
+    // 使用该环境的第一个账号调试
+    const result = await chrome.storage.local.get('accounts');
+    const account = (result.accounts || []).find(acc => acc.envId === this.currentEnvIdForEdit);
+    if (!account) {
+      showError('envLoginStepsError', '请先为该环境添加账号后再调试');
+      return;
+    }
+    
+    if (!(await this.ensureUnlocked(() => this.handleDebugLoginSteps()))) {
+      return;
+    }
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.id || !/^https?:/.test(tab.url || '')) {
+        showError('envLoginStepsError', '请在登录页面上打开扩展后再调试');
+        return;
+      }
+      
+      // 与"测试URL"一样按表单中正在编辑的登录页面URL和匹配规则检查当前页面
+      const env = {
+        loginUrl: document.getElementById('envLoginUrl').value.trim(),
+        matchRules: this.editingMatchRules.map(normalizeMatchRule)
+      };
+      if (!window.urlMatcher.matches(env, tab.url)) {
+        showError('envLoginStepsError', '当前页面不是该环境的登录页面，请在该环境的登录页面上打开扩展后再调试');
+        return;
+      }
+      
+      const decryptedAccount = await window.cryptoUtils.decryptLoginCredential(account);
+      
+      await this.injectLoginFiller(tab.id);
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (account, steps) => {
+          window.loginFiller.debugRun(account, steps);
+        },
+        args: [decryptedAccount, steps]
+      });
+      
+      // 关闭popup，在页面上查看调试结果
+      window.close();
+    } catch (error) {
+      console.error('调试登录脚本失败:', error);
+      showError('envLoginStepsError', '调试失败: ' + error.message);
+    }
+  }
+  
+  updateMultiStepFields() {
+    const group = document.getElementById('envMultiStepGroup');
+    if (group) {
+      group.style.display = document.getElementById('envMultiStep')?.checked ? 'block' : 'none';
+    }
+  }
+  
+  /**
+   * 用当前标签页填写环境：域名（含端口）、登录页面URL，名称为空时使用页面标题，
+   * 提交按钮选择器为空时在页面上识别登录按钮
+   */
+  async handleUseCurrentPage() {
+    hideError('envCurrentPageError');
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.id || !/^https?:/.test(tab.url || '')) {
+        showError('envCurrentPageError', '请在需要登录的网页上打开扩展后再使用当前页面');
+        return;
+      }
+      
+      const url = new URL(tab.url);
+      document.getElementById('envDomain').value = url.host;
+      document.getElementById('envLoginUrl').value = window.urlMatcher.normalize(tab.url);
+      hideError('envDomainError');
+      hideError('envLoginUrlError');
+      
+      const nameInput = document.getElementById('envName');
+      if (!nameInput.value.trim()) {
+        nameInput.value = (tab.title || '').trim() || url.hostname;
+        hideError('envNameError');
+      }
+      
+      const submitInput = document.getElementById('envSubmitSelector');
+      if (submitInput.value.trim()) {
+        showSuccessMessage('已填写当前页面的地址');
+        return;
+      }
+      
+      const selector = await this.detectLoginButton(tab.id);
+      if (selector) {
+        submitInput.value = selector;
+        hideError('envSubmitSelectorError');
+        showSuccessMessage('已填写当前页面的地址，并识别到登录按钮');
+      } else {
+        showSuccessMessage('已填写当前页面的地址，未识别到登录按钮');
+      }
+    } catch (error) {
+      console.error('读取当前页面失败:', error);
+      showError('envCurrentPageError', '读取当前页面失败: ' + error.message);
+    }
+  }
+  
+  // 在页面上识别登录按钮并生成选择器（与元素拾取使用相同的生成规则），页面无法注入脚本时返回 null
+  async detectLoginButton(tabId) {
+    try {
+      await this.injectLoginFiller(tabId);
+      const [{ result: hasPicker } = {}] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => !!window.elementPicker
+      });
+      if (!hasPicker) {
+        await chrome.scripting.executeScript({
+          target: { tabId },
+          files: ['element-picker.js']
+        });
+      }
+      
+      const [{ result: selector } = {}] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => {
+          const button = window.loginFiller.detectLoginButton();
+          return button ? window.elementPicker.buildSelector(button) : null;
+        }
+      });
+      return selector || null;
+    } catch (error) {
+      console.debug('识别登录按钮失败:', error);
+      return null;
+    }
+  }
+  
+  async handlePickElements() {
+    const envId = this.currentEnvIdForEdit;
+    if (!envId) return;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab || !tab.id || !/^https?:/.test(tab.url || '')) {
+        alert('请在需要登录的网页上打开扩展后再拾取元素');
+        return;
+      }
+      
+      const message = { action: 'startElementPicker', envId };
+      try {
+        await chrome.tabs.sendMessage(tab.id, message);
+      } catch (error) {
+        // 扩展安装前已打开的页面没有内容脚本，先注入拾取器
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          files: ['element-picker.js']
+        });
+        await chrome.tabs.sendMessage(tab.id, message);
+      }
+      
+      // 关闭popup，让用户在页面上点击
+      window.close();
+    } catch (error) {
+      console.error('启动元素拾取失败:', error);
+      alert('启动元素拾取失败: ' + error.message);
+    }
+  }
+  
   async handleDeleteEnv(envId) {
     if (!envId) return;
     
@@ -715,12 +3152,17 @@ class AccountManager {
     }
   }
   
-  openAccountModal(accountId = null) {
-    if (!this.currentEnvId) {
+  async openAccountModal(accountId = null) {
+    // 编辑时账号保留原有环境，搜索结果中的账号不要求先选择环境
+    if (!accountId && !this.currentEnvId) {
       alert('请先选择环境');
       return;
     }
     
+    if (!(await this.ensureUnlocked(() => this.openAccountModal(accountId)))) {
+      return;
+    }
+    
     const title = document.getElementById('accountModalTitle');
     if (title) {
       title.textContent = accountId ? '编辑账号' : '添加账号';
@@ -737,6 +3179,8 @@ class AccountManager {
         if (account) {
           document.getElementById('accountUsername').value = account.username || '';
           document.getElementById('accountAccount').value = account.account || '';
+          document.getElementById('accountTags').value = window.accountSearch.parseTags(account.tags).join(', ');
+          document.getElementById('accountNotes').value = account.notes || '';
           
           // 解密密码用于编辑（如果已加密）
           let decryptedPassword = account.password;
@@ -744,12 +3188,42 @@ class AccountManager {
             try {
               decryptedPassword = await window.cryptoUtils.decryptPassword(account.password);
             } catch (error) {
-              console.warn('密码解密失败，使用原密码:', error);
-              decryptedPassword = account.password;
+              console.error('密码解密失败:', error);
+              decryptedPassword = '';
+              showError('accountPasswordError', '密码解密失败，请重新输入密码');
             }
           }
           
           document.getElementById('accountPassword').value = decryptedPassword || '';
+          
+          let totpSecret = account.totpSecret || '';
+          if (totpSecret) {
+            try {
+              totpSecret = await window.cryptoUtils.decryptPassword(totpSecret);
+            } catch (error) {
+              console.error('两步验证密钥解密失败:', error);
+              totpSecret = '';
+              showError('accountTotpSecretError', '两步验证密钥解密失败，请重新输入');
+            }
+          }
+          document.getElementById('accountTotpSecret').value = totpSecret;
+          
+          // 解密加密的自定义字段用于编辑
+          this.editingCustomFields = [];
+          for (const field of account.customFields || []) {
+            let value = field.value;
+            if (field.secret && value) {
+              try {
+                value = await window.cryptoUtils.decryptPassword(value);
+              } catch (error) {
+                console.error('自定义字段解密失败:', error);
+                value = '';
+                showError('accountCustomFieldsError', `字段"${field.name}"解密失败，请重新输入`);
+              }
+            }
+            this.editingCustomFields.push({ ...field, value });
+          }
+          this.renderCustomFields();
           this.currentAccountId = accountId;
         }
       });
@@ -759,6 +3233,9 @@ class AccountManager {
       document.getElementById('accountUsername').value = '';
       document.getElementById('accountAccount').value = '';
       document.getElementById('accountPassword').value = '';
+      document.getElementById('accountTotpSecret').value = '';
+      document.getElementById('accountTags').value = '';
+      document.getElementById('accountNotes').value = '';
     }
     
     this.accountModal.open();
@@ -766,11 +3243,25 @@ class AccountManager {
   
   resetEnvForm() {
     document.getElementById('envForm')?.reset();
+    hideError('envCurrentPageError');
     hideError('envNameError');
     hideError('envDomainError');
     hideError('envLoginUrlError');
     hideError('envLoginButtonIdError');
     hideError('envLoginButtonClassError');
+    ENV_SELECTOR_FIELDS.forEach(({ inputId }) => hideError(`${inputId}Error`));
+    hideError('envStepTimeoutError');
+    hideError('envLoginStepsError');
+    hideError('envMatchRulesError');
+    this.updateMultiStepFields();
+    this.editingLoginSteps = [];
+    this.renderLoginSteps();
+    this.editingMatchRules = [];
+    this.renderMatchRules();
+    const testResult = document.getElementById('envTestUrlResult');
+    if (testResult) {
+      testResult.innerHTML = '';
+    }
     this.currentEnvIdForEdit = null;
   }
   
@@ -779,6 +3270,10 @@ class AccountManager {
     hideError('accountUsernameError');
     hideError('accountAccountError');
     hideError('accountPasswordError');
+    hideError('accountTotpSecretError');
+    hideError('accountCustomFieldsError');
+    this.editingCustomFields = [];
+    this.renderCustomFields();
     this.currentAccountId = null;
   }
   
@@ -788,6 +3283,16 @@ class AccountManager {
     const loginUrl = document.getElementById('envLoginUrl').value.trim();
     const loginButtonId = document.getElementById('envLoginButtonId').value.trim() || 'ch_login_btn';
     const loginButtonClass = document.getElementById('envLoginButtonClass').value.trim() || 'formBtn';
+    const fieldSelectors = {};
+    ENV_SELECTOR_FIELDS.forEach(({ key, inputId }) => {
+      fieldSelectors[key] = document.getElementById(inputId).value.trim();
+    });
+    const errorText = document.getElementById('envErrorText').value.trim();
+    const multiStep = document.getElementById('envMultiStep').checked;
+    const stepTimeoutInput = document.getElementById('envStepTimeout').value.trim();
+    const stepTimeoutSeconds = stepTimeoutInput ? Number(stepTimeoutInput) : DEFAULT_STEP_TIMEOUT_SECONDS;
+    const isStepTimeoutValid = stepTimeoutSeconds >= 1 && stepTimeoutSeconds <= 60;
+    const stepTimeout = (isStepTimeoutValid ? stepTimeoutSeconds : DEFAULT_STEP_TIMEOUT_SECONDS) * 1000;
     
     // 验证
     let isValid = true;
@@ -797,6 +3302,10 @@ class AccountManager {
     hideError('envLoginUrlError');
     hideError('envLoginButtonIdError');
     hideError('envLoginButtonClassError');
+    ENV_SELECTOR_FIELDS.forEach(({ inputId }) => hideError(`${inputId}Error`));
+    hideError('envStepTimeoutError');
+    hideError('envLoginStepsError');
+    hideError('envMatchRulesError');
     
     if (!name) {
       showError('envNameError', '环境名称不能为空');
@@ -824,6 +3333,32 @@ class AccountManager {
       }
     }
     
+    ENV_SELECTOR_FIELDS.forEach(({ key, inputId }) => {
+      if (!validateSelector(fieldSelectors[key])) {
+        showError(`${inputId}Error`, '选择器格式不正确');
+        isValid = false;
+      }
+    });
+    
+    const matchRules = this.editingMatchRules.map(normalizeMatchRule);
+    const matchRulesError = validateMatchRules(matchRules);
+    if (matchRulesError) {
+      showError('envMatchRulesError', matchRulesError);
+      isValid = false;
+    }
+    
+    const loginSteps = this.editingLoginSteps.map(normalizeLoginStep);
+    const loginStepsError = validateLoginSteps(loginSteps);
+    if (loginStepsError) {
+      showError('envLoginStepsError', loginStepsError);
+      isValid = false;
+    }
+    
+    if (multiStep && !isStepTimeoutValid) {
+      showError('envStepTimeoutError', '等待时间应为1到60秒');
+      isValid = false;
+    }
+    
     if (!isValid) return;
     
     try {
@@ -841,8 +3376,17 @@ class AccountManager {
             loginUrl: loginUrl,
             loginButtonId: loginButtonId,
             loginButtonClass: loginButtonClass,
+            ...fieldSelectors,
+            errorText,
+            multiStep,
+            stepTimeout,
+            loginSteps,
+            matchRules,
             updatedAt: Date.now()
           };
+          if (matchRules.length === 0) {
+            delete environments[index].matchRules;
+          }
           await chrome.storage.local.set({ environments });
           await this.loadEnvironments();
           
@@ -869,6 +3413,12 @@ class AccountManager {
           loginUrl: loginUrl,
           loginButtonId: loginButtonId,
           loginButtonClass: loginButtonClass,
+          ...fieldSelectors,
+          errorText,
+          multiStep,
+          stepTimeout,
+          loginSteps,
+          ...(matchRules.length > 0 ? { matchRules } : {}),
           createdAt: Date.now()
         };
         environments.push(newEnv);
@@ -901,10 +3451,87 @@ class AccountManager {
     }
   }
   
+  renderCustomFields() {
+    const container = document.getElementById('accountCustomFields');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    this.editingCustomFields.forEach((field, index) => {
+      const row = document.createElement('div');
+      row.className = 'custom-field-row';
+      
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.placeholder = '字段名称';
+      nameInput.value = field.name || '';
+      nameInput.addEventListener('input', (e) => {
+        field.name = e.target.value;
+      });
+      
+      const valueInput = document.createElement('input');
+      valueInput.type = field.secret ? 'password' : 'text';
+      valueInput.placeholder = '值';
+      valueInput.value = field.value || '';
+      valueInput.addEventListener('input', (e) => {
+        field.value = e.target.value;
+      });
+      
+      const secretLabel = document.createElement('label');
+      const secretCheckbox = document.createElement('input');
+      secretCheckbox.type = 'checkbox';
+      secretCheckbox.checked = !!field.secret;
+      secretCheckbox.addEventListener('change', (e) => {
+        field.secret = e.target.checked;
+        valueInput.type = field.secret ? 'password' : 'text';
+      });
+      secretLabel.appendChild(secretCheckbox);
+      secretLabel.appendChild(document.createTextNode('加密'));
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.title = '删除';
+      deleteBtn.textContent = '✕';
+      deleteBtn.addEventListener('click', () => {
+        this.editingCustomFields.splice(index, 1);
+        this.renderCustomFields();
+      });
+      
+      row.appendChild(nameInput);
+      row.appendChild(valueInput);
+      row.appendChild(secretLabel);
+      row.appendChild(deleteBtn);
+      container.appendChild(row);
+    });
+  }
+  
+  // 验证自定义字段，返回错误信息（通过时返回空字符串）
+  validateCustomFields(fields) {
+    const names = new Set();
+    for (const field of fields) {
+      if (!field.name) {
+        return '自定义字段名称不能为空';
+      }
+      if (names.has(field.name)) {
+        return `自定义字段"${field.name}"重复`;
+      }
+      names.add(field.name);
+    }
+    return '';
+  }
+  
   async handleAccountSubmit() {
     const username = document.getElementById('accountUsername').value.trim();
     const account = document.getElementById('accountAccount').value.trim();
     const password = document.getElementById('accountPassword').value;
+    const totpSecret = document.getElementById('accountTotpSecret').value.trim();
+    const tags = window.accountSearch.parseTags(document.getElementById('accountTags').value);
+    const notes = document.getElementById('accountNotes').value.trim();
+    const customFields = this.editingCustomFields.map(field => ({
+      name: (field.name || '').trim(),
+      value: field.value || '',
+      secret: !!field.secret
+    }));
     
     // 验证
     let isValid = true;
@@ -912,6 +3539,14 @@ class AccountManager {
     hideError('accountUsernameError');
     hideError('accountAccountError');
     hideError('accountPasswordError');
+    hideError('accountTotpSecretError');
+    hideError('accountCustomFieldsError');
+    
+    const customFieldsError = this.validateCustomFields(customFields);
+    if (customFieldsError) {
+      showError('accountCustomFieldsError', customFieldsError);
+      isValid = false;
+    }
     
     if (!username) {
       showError('accountUsernameError', '用户名不能为空');
@@ -928,26 +3563,39 @@ class AccountManager {
       isValid = false;
     }
     
+    if (totpSecret) {
+      try {
+        window.totpUtils.parse(totpSecret);
+      } catch (error) {
+        showError('accountTotpSecretError', error.message);
+        isValid = false;
+      }
+    }
+    
     if (!isValid) return;
     
     // 再次检查环境ID（防止在添加过程中环境被删除）
-    if (!this.currentEnvId) {
+    if (!this.currentAccountId && !this.currentEnvId) {
       alert('环境已不存在，请重新选择环境');
       this.accountModal.close();
       return;
     }
     
+    if (!(await this.ensureUnlocked(() => this.handleAccountSubmit()))) {
+      return;
+    }
+    
     try {
-      // 加密密码（如果cryptoUtils可用）
+      // 加密密码（如果cryptoUtils可用），加密失败时不保存明文
       let encryptedPassword = password;
+      let storedTotpSecret = totpSecret;
+      let storedCustomFields = customFields;
       if (window.cryptoUtils) {
-        try {
-          encryptedPassword = await window.cryptoUtils.encryptPassword(password);
-        } catch (error) {
-          console.warn('密码加密失败，使用明文存储:', error);
-          // 如果加密失败，使用明文（向后兼容）
-          encryptedPassword = password;
+        encryptedPassword = await window.cryptoUtils.encryptPassword(password);
+        if (totpSecret) {
+          storedTotpSecret = await window.cryptoUtils.encryptPassword(totpSecret);
         }
+        ({ customFields: storedCustomFields } = await window.cryptoUtils.encryptAccount({ customFields }));
       }
       
       const result = await chrome.storage.local.get('accounts');
@@ -957,13 +3605,28 @@ class AccountManager {
         // 编辑模式
         const index = accounts.findIndex(a => a.id === this.currentAccountId);
         if (index !== -1) {
+          // 修改了密码时，之前的登录结果不再适用
+          const { lastLoginResult, ...previous } = accounts[index];
+          const previousPassword = await window.cryptoUtils.decryptPassword(previous.password).catch(() => null);
           accounts[index] = {
-            ...accounts[index],
+            ...previous,
+            ...(lastLoginResult && previousPassword === password ? { lastLoginResult } : {}),
             username: username,
             account: account,
             password: encryptedPassword,
+            totpSecret: storedTotpSecret,
+            customFields: storedCustomFields,
+            tags,
+            notes,
             updatedAt: Date.now()
           };
+          // 没有标签或备注时不保存空字段，避免与备份比较时出现无意义的差异
+          if (tags.length === 0) {
+            delete accounts[index].tags;
+          }
+          if (!notes) {
+            delete accounts[index].notes;
+          }
           await chrome.storage.local.set({ accounts });
           await this.loadAccounts(this.currentEnvId);
           this.accountModal.close();
@@ -987,6 +3650,10 @@ class AccountManager {
           username: username,
           account: account,
           password: encryptedPassword,
+          totpSecret: storedTotpSecret,
+          customFields: storedCustomFields,
+          ...(tags.length > 0 ? { tags } : {}),
+          ...(notes ? { notes } : {}),
           createdAt: Date.now()
         };
         
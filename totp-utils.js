@@ -0,0 +1,169 @@
+/**
+ * TOTP 工具
+ * 解析两步验证密钥（Base32 密钥或 otpauth:// 链接）并生成动态验证码（RFC 6238）
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class TotpUtils {
+  constructor() {
+    this.defaultDigits = 6;
+    this.defaultPeriod = 30;
+    this.defaultAlgorithm = 'SHA-1';
+    
+    // otpauth 链接中的算法名称 → Web Crypto 算法名称
+    this.algorithms = {
+      SHA1: 'SHA-1',
+      SHA256: 'SHA-256',
+      SHA512: 'SHA-512'
+    };
+    
+    this.base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  }
+  
+  /**
+   * 解码 Base32 字符串（忽略空格、连字符和末尾的 = 填充），无效字符抛出错误
+   */
+  base32Decode(input) {
+    const cleaned = input.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+    if (!cleaned) {
+      throw new Error('密钥为空');
+    }
+    
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of cleaned) {
+      const value = this.base32Alphabet.indexOf(char);
+      if (value === -1) {
+        throw new Error(`密钥包含无效字符"${char}"，应为 Base32 编码`);
+      }
+      buffer = (buffer << 5) | value;
+      bits += 5;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes.push((buffer >> bits) & 0xff);
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+  
+  /**
+   * 解析 Base32 密钥或 otpauth://totp/ 链接
+   * 返回 { secret, algorithm, digits, period, issuer, label }，格式错误时抛出错误
+   */
+  parse(input) {
+    const value = (input || '').trim();
+    if (!value) {
+      throw new Error('密钥为空');
+    }
+    
+    if (!/^otpauth:/i.test(value)) {
+      this.base32Decode(value);
+      return {
+        secret: value.replace(/[\s-]/g, '').toUpperCase(),
+        algorithm: this.defaultAlgorithm,
+        digits: this.defaultDigits,
+        period: this.defaultPeriod,
+        issuer: '',
+        label: ''
+      };
+    }
+    
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error('otpauth 链接格式错误');
+    }
+    
+    // URL 解析器不认识 otpauth 协议，类型在 host 或 pathname 开头
+    const path = `${url.host}${url.pathname}`.replace(/^\/+/, '');
+    const [type, ...labelParts] = path.split('/');
+    if (type.toLowerCase() !== 'totp') {
+      throw new Error('只支持基于时间的验证码（otpauth://totp/）');
+    }
+    
+    const secret = url.searchParams.get('secret') || '';
+    this.base32Decode(secret);
+    
+    const algorithmName = (url.searchParams.get('algorithm') || 'SHA1').toUpperCase();
+    const algorithm = this.algorithms[algorithmName];
+    if (!algorithm) {
+      throw new Error(`不支持的算法：${algorithmName}`);
+    }
+    
+    const digits = parseInt(url.searchParams.get('digits') || this.defaultDigits, 10);
+    if (![6, 7, 8].includes(digits)) {
+      throw new Error('验证码位数只支持 6~8 位');
+    }
+    
+    const period = parseInt(url.searchParams.get('period') || this.defaultPeriod, 10);
+    if (!Number.isFinite(period) || period <= 0) {
+      throw new Error('验证码有效期无效');
+    }
+    
+    let label = labelParts.join('/');
+    try {
+      label = decodeURIComponent(label);
+    } catch {
+      // 保留原始标签
+    }
+    
+    return {
+      secret: secret.replace(/[\s-]/g, '').toUpperCase(),
+      algorithm,
+      digits,
+      period,
+      issuer: url.searchParams.get('issuer') || '',
+      label
+    };
+  }
+  
+  /**
+   * 生成当前时间的验证码
+   * 返回 { code, remaining, period }，remaining 为当前验证码剩余有效秒数
+   */
+  async generate(input, time = Date.now()) {
+    const config = this.parse(input);
+    const counter = Math.floor(time / 1000 / config.period);
+    
+    // 计数器为 8 字节大端整数
+    const message = new ArrayBuffer(8);
+    const view = new DataView(message);
+    view.setUint32(0, Math.floor(counter / 0x100000000));
+    view.setUint32(4, counter >>> 0);
+    
+    const key = await crypto.subtle.importKey(
+      'raw',
+      this.base32Decode(config.secret),
+      { name: 'HMAC', hash: config.algorithm },
+      false,
+      ['sign']
+    );
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+    
+    // 动态截断
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+    const code = String(binary % (10 ** config.digits)).padStart(config.digits, '0');
+    
+    const remaining = config.period - Math.floor(time / 1000) % config.period;
+    return { code, remaining, period: config.period };
+  }
+}
+
+// 导出单例
+const totpUtils = new TotpUtils();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.totpUtils = totpUtils;
+}
+
+// 如果在Service Worker环境中，使用self
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+  self.totpUtils = totpUtils;
+}
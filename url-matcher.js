@@ -0,0 +1,271 @@
+/**
+ * 环境URL匹配工具
+ * 后台脚本、内容脚本和弹出窗口共用同一套匹配规则
+ * 符合 Chrome Extension Manifest V3 规范
+ */
+
+class UrlMatcher {
+  constructor() {
+    // 环境匹配规则的类型（弹出窗口的规则编辑器也使用这份定义）
+    this.ruleTypes = {
+      exact: '精确匹配',
+      glob: '通配符',
+      regex: '正则表达式'
+    };
+    
+    // 编译后的匹配规则，键为规则内容；每次页面加载和切换标签页都要匹配，避免重复校验和编译
+    this.compiledRules = new Map();
+    this.compiledRulesLimit = 200;
+  }
+  
+  /**
+   * 规范化URL：只保留协议+域名+路径，移除末尾斜杠、查询参数和hash
+   * 无效URL返回 null
+   */
+  normalize(urlString) {
+    if (!urlString) return null;
+    
+    try {
+      const url = new URL(urlString);
+      return `${url.protocol}//${url.host}${url.pathname}`.replace(/\/$/, '');
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * 取出 hash 路由：去掉 hash 中的查询参数和末尾斜杠，如 "#/login/?from=home" => "#/login"
+   */
+  getHashRoute(hash) {
+    if (!hash || hash === '#') return '';
+    return hash.split('?')[0].replace(/\/$/, '');
+  }
+  
+  /**
+   * 拆分 exact / glob 规则的内容：{ base, query, hash }，没有 # 时 hash 为 null（不比较 hash 路由）
+   */
+  splitPattern(pattern) {
+    const hashIndex = pattern.indexOf('#');
+    const main = hashIndex === -1 ? pattern : pattern.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? null : this.getHashRoute(pattern.slice(hashIndex));
+    const queryIndex = main.indexOf('?');
+    return {
+      base: queryIndex === -1 ? main : main.slice(0, queryIndex),
+      query: queryIndex === -1 ? '' : main.slice(queryIndex + 1),
+      hash
+    };
+  }
+  
+  /**
+   * 检查URL的查询参数（包括 hash 路由中的参数，如 #/login?tenant=a）是否满足条件
+   * 条件如 "action=login&tenant"：只写参数名或值为 * 时只要求参数存在
+   */
+  matchesQuery(url, query) {
+    if (!query) return true;
+    
+    const params = new URLSearchParams(url.search);
+    const hashQueryIndex = url.hash.indexOf('?');
+    if (hashQueryIndex !== -1) {
+      new URLSearchParams(url.hash.slice(hashQueryIndex + 1)).forEach((value, name) => {
+        params.append(name, value);
+      });
+    }
+    
+    return [...new URLSearchParams(query)].every(([name, value]) => {
+      if (!value || value === '*') return params.has(name);
+      return params.getAll(name).includes(value);
+    });
+  }
+  
+  // 把通配符规则转换为正则：协议和域名中的 * 不跨越 "/"，路径和 hash 路由中的 * 匹配任意字符
+  globToRegExp(base, hash) {
+    const withProtocol = base.includes('://') ? base : `*://${base}`;
+    const [protocol, rest] = withProtocol.split('://');
+    const slashIndex = rest.indexOf('/');
+    const host = slashIndex === -1 ? rest : rest.slice(0, slashIndex);
+    const path = (slashIndex === -1 ? '' : rest.slice(slashIndex)).replace(/\/$/, '') + (hash || '');
+    
+    const escape = (value, wildcard) => value
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join(wildcard);
+    const protocolPattern = protocol === '*' ? 'https?' : escape(protocol, '[^/]*');
+    // 末尾的 /* 同时匹配上一级路径本身（如 /admin/* 匹配 /admin），与登录页面URL的规则一致
+    const pathPattern = escape(path, '.*').replace(/\/\.\*$/, '(/.*)?');
+    return new RegExp(`^${protocolPattern}://${escape(host, '[^/]*')}${pathPattern}$`, 'i');
+  }
+  
+  // 规则比较的内容：协议+域名（含端口）+路径，加上 hash 路由，不包含查询参数
+  getMatchTarget(url, withHash = true) {
+    return this.normalize(url.href) + (withHash ? this.getHashRoute(url.hash) : '');
+  }
+  
+  // 编译正则规则（不区分大小写），格式不正确时返回 null
+  compileRegExp(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * 检查匹配规则是否有效，返回错误信息（有效时返回空字符串）
+   * 规则：{ type: 'exact' | 'glob' | 'regex', pattern, query? }
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || !this.ruleTypes[rule.type]) {
+      return '未知的规则类型';
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      return '请填写匹配内容';
+    }
+    if (rule.query !== undefined && typeof rule.query !== 'string') {
+      return '查询参数条件格式不正确';
+    }
+    
+    if (rule.type === 'regex') {
+      return this.compileRegExp(rule.pattern) ? '' : '正则表达式格式不正确';
+    }
+    if (/\s/.test(rule.pattern.trim())) {
+      return '匹配内容不能包含空格';
+    }
+    if (rule.type === 'exact') {
+      const normalized = this.normalize(this.splitPattern(rule.pattern.trim()).base);
+      if (!normalized || !/^https?:/.test(normalized)) {
+        return 'URL格式不正确，请输入完整的URL（如：https://example.com/login）';
+      }
+    }
+    return '';
+  }
+  
+  /**
+   * 校验并编译规则，返回 { error, test(url) }，test 接收已解析的 URL 对象
+   * 相同内容的规则只编译一次
+   */
+  compileRule(rule) {
+    const cacheKey = JSON.stringify([rule?.type, rule?.pattern, rule?.query]);
+    let compiled = this.compiledRules.get(cacheKey);
+    if (compiled) return compiled;
+    
+    const error = this.validateRule(rule);
+    if (error) {
+      compiled = { error, test: () => false };
+    } else if (rule.type === 'regex') {
+      const regExp = this.compileRegExp(rule.pattern);
+      compiled = { error, test: (url) => regExp.test(this.getMatchTarget(url)) };
+    } else {
+      const { base, query, hash } = this.splitPattern(rule.pattern.trim());
+      const withHash = hash !== null;
+      if (rule.type === 'exact') {
+        const expected = this.normalize(base) + (hash || '');
+        compiled = { error, test: (url) => this.matchesQuery(url, query) && this.getMatchTarget(url, withHash) === expected };
+      } else {
+        const regExp = this.globToRegExp(base, hash);
+        compiled = { error, test: (url) => this.matchesQuery(url, query) && regExp.test(this.getMatchTarget(url, withHash)) };
+      }
+    }
+    
+    if (this.compiledRules.size >= this.compiledRulesLimit) {
+      this.compiledRules.clear();
+    }
+    this.compiledRules.set(cacheKey, compiled);
+    return compiled;
+  }
+  
+  /**
+   * 检查URL是否匹配单条规则
+   * 比较协议+域名（含端口）+路径，不包含查询参数（查询参数只通过参数条件检查）：
+   * exact / glob 规则中有 # 时同时比较 hash 路由，规则中的查询参数作为条件；
+   * regex 匹配协议+域名+路径+hash 路由，如 https://example.com/#/login
+   */
+  matchesRule(rule, urlString) {
+    const compiled = this.compileRule(rule);
+    if (compiled.error) return false;
+    
+    let url;
+    try {
+      url = new URL(urlString);
+    } catch {
+      return false;
+    }
+    return this.matchesQuery(url, rule.query) && compiled.test(url);
+  }
+  
+  /**
+   * 检查URL是否匹配环境的登录页面URL（精确匹配，或以 /* 结尾时按前缀匹配，忽略查询参数和hash）
+   */
+  matchesLoginUrl(loginUrl, urlString) {
+    if (!loginUrl) return false;
+    
+    const normalizedUrl = this.normalize(urlString);
+    const normalizedEnvUrl = this.normalize(loginUrl);
+    if (!normalizedUrl || !normalizedEnvUrl) return false;
+    
+    // 精确匹配
+    if (normalizedUrl === normalizedEnvUrl) {
+      return true;
+    }
+    
+    // 路径匹配（支持通配符，如 /login/*）
+    if (normalizedEnvUrl.endsWith('/*')) {
+      const baseUrl = normalizedEnvUrl.slice(0, -2);
+      if (normalizedUrl.startsWith(baseUrl)) {
+        return true;
+      }
+    }
+    
+    // 不使用包含匹配，因为太宽松会导致误匹配
+    // 例如：登录URL是 https://example.com，当前URL是 https://example.com/dashboard 也会匹配
+    return false;
+  }
+  
+  /**
+   * 检查URL是否匹配环境：匹配登录页面URL或任一匹配规则
+   */
+  matches(env, urlString) {
+    if (!env) return false;
+    return this.matchesLoginUrl(env.loginUrl, urlString) ||
+      (env.matchRules || []).some(rule => this.matchesRule(rule, urlString));
+  }
+  
+  /**
+   * 逐条测试环境的登录页面URL和匹配规则，返回 [{ rule, matched, error }]
+   * 登录页面URL 作为第一条，type 为 'loginUrl'（弹出窗口的"测试URL"使用）
+   */
+  testRules(env, urlString) {
+    const results = [];
+    if (env.loginUrl) {
+      results.push({
+        rule: { type: 'loginUrl', pattern: env.loginUrl },
+        matched: this.matchesLoginUrl(env.loginUrl, urlString),
+        error: ''
+      });
+    }
+    (env.matchRules || []).forEach(rule => {
+      results.push({ rule, matched: this.matchesRule(rule, urlString), error: this.compileRule(rule).error });
+    });
+    return results;
+  }
+  
+  /**
+   * 在环境列表中查找第一个匹配URL的环境
+   */
+  findEnvironment(environments, urlString) {
+    if (!urlString) return null;
+    return (environments || []).find(env => this.matches(env, urlString)) || null;
+  }
+}
+
+// 导出单例
+const urlMatcher = new UrlMatcher();
+
+// 如果在浏览器环境中，挂载到window
+if (typeof window !== 'undefined') {
+  window.urlMatcher = urlMatcher;
+}
+
+// 如果在Service Worker环境中，使用self
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+  self.urlMatcher = urlMatcher;
+}